@@ -56,6 +56,80 @@ const Koviko = {
    * @prop {number} exp Experience
    */
 
+  /**
+   * IdleLoops action reduced to the plain data needed to simulate it
+   * @typedef {Object} Koviko~ActionData
+   * @prop {string} name Name of the action
+   * @prop {number} expMult Experience multiplier (typically 1)
+   * @prop {number} townNum The town to which the action belongs
+   * @prop {string} varName The unique identifier used for variables in the `towns` array
+   * @prop {number} [segments] Amount of segments per loop
+   * @prop {number} [dungeonNum] The dungeon to which the action belongs
+   * @prop {Object.<string, number>} stats Stats that affect and are affected by the action
+   * @prop {Array.<string>} [loopStats] Stats used in the respective segment per loop
+   * @prop {number} manaCost Mana cost to complete the action
+   */
+
+  /**
+   * Prediction rules for a version of the game. Every function in a ruleset must be self-contained, relying only on
+   * its arguments, so that it can be rebuilt from its source inside of a web worker.
+   * @typedef {Object} Koviko~Ruleset
+   * @prop {string|null} base Version of the ruleset that this ruleset changes, or `null` if it stands on its own
+   * @prop {function} predictions Builds the prediction parameters, keyed by action name, from a {@link Koviko~GameState} and the simulator's helpers
+   * @prop {Object.<string, function>} overrides Builders of the prediction parameters of single actions, keyed by action name, that take precedence over `predictions`
+   */
+
+  /**
+   * Snapshot of everything a simulation reads from the game, free of functions so that it can be serialized
+   * @typedef {Object} Koviko~GameState
+   * @prop {string|null} version Version of the game, or `null` if it couldn't be detected
+   * @prop {Array.<string>} statList Names of all stats
+   * @prop {Object.<string, number>} bonusXP Experience multiplier of each stat from talents and soulstones
+   * @prop {Object.<string, number>} skills Experience of each skill, keyed by lowercase skill name
+   * @prop {Array.<Object.<string, number>>} towns Numeric attributes of each town, such as `goodPots` or `expWander`
+   * @prop {Array.<Array.<Koviko~DungeonFloor>>} dungeons Floors of each dungeon
+   * @prop {Object.<string, number>} buffs Level of each buff
+   * @prop {Object.<string, number>} goldCost Rewards of the actions whose payout depends on skills
+   * @prop {Object.<string, Koviko~ActionData>} actions Actions that may be simulated, keyed by name
+   * @prop {Koviko~Position|null} [start] Position of the running loop to predict the rest of, or `null` to predict from
+   * the start of a loop
+   */
+
+  /**
+   * Action list saved under a name, along with its prediction at the time
+   * @typedef {Object} Koviko~Route
+   * @prop {Array.<Koviko~ListedAction>} actions Actions in the action list
+   * @prop {string|null} version Version of the game that the action list was saved in
+   * @prop {number} saved Time at which the action list was saved, in milliseconds since the epoch
+   * @prop {Koviko~Summary} summary Prediction of the action list when it was saved
+   */
+
+  /**
+   * Outcome of an action list in a few numbers
+   * @typedef {Object} Koviko~Summary
+   * @prop {number} mana Total mana used
+   * @prop {number} ticks Total time used, in game ticks
+   * @prop {boolean} isValid Whether mana stays above zero throughout the action list
+   * @prop {Object.<string, number|boolean>} resources Resources at the end of the action list
+   * @prop {number} soul Soulstone attempts at the end of the action list
+   */
+
+  /**
+   * Display settings of the predictor
+   * @typedef {Object} Koviko~Settings
+   * @prop {Array.<string>} hidden Names of the resources, stats and skills not to show
+   * @prop {boolean} hideZero Whether to leave out the resources that are zero after an action
+   * @prop {Object.<string, string>} colors Color of each resource
+   * @prop {boolean} exact Whether to show numbers in full, rather than abbreviated
+   */
+
+  /**
+   * Position of the running loop. The progress of its loops and its used up good results are read from the towns.
+   * @typedef {Object} Koviko~Position
+   * @prop {Object.<string, number|boolean>} resources Resources on hand, including `mana` and `town`
+   * @prop {Object.<string, number>} stats Experience of each stat
+   */
+
   /**
    * Globals
    * @prop {Koviko~View} view IdleLoops view object
@@ -66,12 +140,9 @@ const Koviko = {
    * @prop {Object.<string, Koviko~Skill>} skills Skill objects
    * @prop {Array.<Koviko~Town>} towns Town objects
    * @prop {Array.<Array.<Koviko~DungeonFloor>>} dungeons Dungeon objects
-   * @prop {function} fibonacci Calculates the value of the given index of the Fibonacci sequence
-   * @prop {function} precision3 Rounds numbers to a precision of 3
    * @prop {function} translateClassNames Converts an action name to a {@link Koviko~Action} object
-   * @prop {function} getLevelFromExp Converts an amount of stat experience into a level
-   * @prop {function} getSkillLevelFromExp Converts an amount of skill experience into a level
    * @prop {function} getTotalBonusXP Determine the current amount of bonus XP from talents and soulstones
+   * @prop {function} getBuffLevel Determine the current level of a buff
    * @prop {function} goldCostSmashPots Determine the amount of mana gained from smashing pots
    * @prop {function} goldCostWildMana Determine the amount of mana gained from finding wild mana
    * @prop {function} goldCostLocks Determine the amount of gold gained from lockpicking
@@ -86,12 +157,9 @@ const Koviko = {
     skills: null,
     towns: null,
     dungeons: null,
-    fibonacci: null,
-    precision3: null,
     translateClassNames: null,
-    getLevelFromExp: null,
-    getSkillLevelFromExp: null,
     getTotalBonusXP: null,
+    getBuffLevel: null,
     goldCostSmashPots: null,
     goldCostWildMana: null,
     goldCostLocks: null,
@@ -109,6 +177,33 @@ const Koviko = {
      * @prop {Object} effect Effects at the end of a loop or segment
      * @prop {function} [effect.segment] Effect at the end of a segment
      * @prop {function} [effect.loop] Effect at the end of a loop
+     * @prop {Koviko.Prediction~Soulstones} [soulstones] Chance of a soulstone at the end of each loop, for dungeons
+     */
+
+    /**
+     * Soulstones that a dungeon can give at the end of each floor, with the chance found in the floor's `ssChance`
+     * @typedef {Object} Koviko.Prediction~Soulstones
+     * @prop {number} amount Amount of soulstones given by a success
+     * @prop {number} decay Factor by which the chance of a floor changes after each success
+     */
+
+    /**
+     * Limited amount of good results that an action can have per loop, such as the pots that hold mana
+     * @typedef {Object} Koviko.Prediction~Limit
+     * @prop {string} good Name of the town attribute holding the amount of good results, without its `good` prefix
+     * @prop {function} effect Method that will mutate resources when the result is good
+     * @prop {Object} [explore] Exploration action that finds more good results as it levels up during the loop
+     * @prop {string} explore.action Name of the exploration action
+     * @prop {number} explore.good Amount of good results found per level of exploration
+     */
+
+    /**
+     * Condition on a resource that has to be met for a loop of an action to start, where `true` means that the resource
+     * has to be owned
+     * @typedef {Object|boolean} Koviko.Prediction~Requirement
+     * @prop {number|function} [min] Least amount of the resource needed, or a method that works it out from the resources,
+     * for costs that change during a loop
+     * @prop {number|function} [max] Most amount of the resource allowed, or a method that works it out from the resources
      */
 
     /**
@@ -116,32 +211,53 @@ const Koviko = {
      * @typedef {Object} Koviko.Prediction~Parameters
      * @prop {Array.<string>} affected Affected resources
      * @prop {function} effect Method that will mutate resources
+     * @prop {Koviko.Prediction~Limit} [limit] Limited amount of good results per loop
+     * @prop {function} [explore] Method that determines the exploration progress made by a loop, for exploration actions
      * @prop {Koviko.Prediction~Loop} loop Loop attributes
+     * @prop {boolean|function|Object.<string, Koviko.Prediction~Requirement>} [canStart=true] Whether a loop of the action
+     * can start, a method that decides it from the resources at the start of the loop, or the conditions on those
+     * resources that have to be met
+     * @prop {function} [warn] Method that explains what goes wrong with a loop that starts with the given resources,
+     * such as buying mana without gold, or returns nothing if nothing does
      */
 
     /**
      * Create the prediction
      * @param {string} name Name of the action
      * @param {Koviko.Prediction~Parameters} params Parameter object
+     * @param {Koviko~GameState} game Game state to estimate the action against
+     * @param {Object.<string, function>} helpers Helper methods of the simulator
      */
-    constructor(name, params) {
+    constructor(name, params, game, helpers) {
       /**
        * Name of the action
        * @member {string}
        */
       this.name = name;
 
+      /**
+       * Game state to estimate the action against
+       * @member {Koviko~GameState}
+       */
+      this.game = game;
+
+      /**
+       * Helper methods of the simulator
+       * @member {Object.<string, function>}
+       */
+      this.helpers = helpers;
+
       /**
        * Action being estimated
-       * @member {Koviko~Action}
+       * @member {Koviko~ActionData|null}
        */
-      this.action = Koviko.globals.translateClassNames(name);
+      this.action = game.actions[name] || null;
 
       /**
-       * The pre-calculated amount of ticks needed for the action to complete.
-       * @member {number}
+       * The pre-calculated amount of ticks needed for the action to complete, or `null` until it is calculated
+       * @member {number|null}
        */
-      this._ticks = 0;
+      this._ticks = null;
 
       /**
        * Resources affected by the action
@@ -155,42 +271,160 @@ const Koviko = {
        */
       this.effect = params.effect || null;
 
+      /**
+       * Limited amount of good results of the action per loop
+       * @member {Koviko.Prediction~Limit|null}
+       */
+      this.limit = params.limit || null;
+
+      /**
+       * Exploration progress made by a loop of the action
+       * @member {function|null}
+       */
+      this.explore = params.explore || null;
+
       /**
        * Effect(s) and tick calculations of the action's loops
        * @member {Koviko.Prediction~Loop|null}
        */
       this.loop = params.loop || null;
 
-      this.canStart = params.canStart || true;
+      /**
+       * Explanation of what goes wrong with a loop of the action, given the resources at its start
+       * @member {function|null}
+       */
+      this.warn = params.warn || null;
+
+      /** @var {boolean|function|Object.<string, Koviko.Prediction~Requirement>} */
+      const canStart = 'canStart' in params ? params.canStart : true;
+
+      /**
+       * Conditions on the resources that have to be met for a loop of the action to start
+       * @member {Object.<string, Koviko.Prediction~Requirement>|null}
+       */
+      this.requirements = canStart && typeof canStart === 'object' ? canStart : null;
+
+      /**
+       * Determine whether a loop of the action can start with the given resources.
+       * @member {function}
+       */
+      this.canStart = typeof canStart === 'function' ? canStart : this.requirements ? (r) => !this.reasons(r).length : () => !!canStart;
+    }
+
+    /**
+     * Explain why a loop of the action can't start with the given resources.
+     * @param {Koviko.Simulator~Resources} r Accumulated resources
+     * @return {Array.<string>} Every condition that isn't met, or none if the loop can start
+     * @memberof Koviko.Prediction
+     */
+    reasons(r) {
+      // Only conditions on the resources can say which of them isn't met
+      if (!this.requirements) {
+        return this.canStart(r) ? [] : ['start conditions not met'];
+      }
+
+      return [].concat(...Object.keys(this.requirements).map(name => this.check(name, r)));
+    }
+
+    /**
+     * Find the resources that are too few, or too many, for a loop of the action to start.
+     * @param {Koviko.Simulator~Resources} r Accumulated resources
+     * @return {Array.<string>} Names of the resources whose conditions aren't met
+     * @memberof Koviko.Prediction
+     */
+    unmet(r) {
+      return Object.keys(this.requirements || {}).filter(name => this.check(name, r).length);
+    }
+
+    /**
+     * Explain why the condition on a resource isn't met.
+     * @param {string} name Name of the resource
+     * @param {Koviko.Simulator~Resources} r Accumulated resources
+     * @return {Array.<string>} Every part of the condition that isn't met, or none if it is met
+     * @memberof Koviko.Prediction
+     */
+    check(name, r) {
+      const requirement = this.requirements[name];
+      const value = r[name] || 0;
+
+      if (requirement === true) {
+        return value ? [] : [`needs ${name}`];
+      }
+
+      const min = typeof requirement.min === 'function' ? requirement.min(r) : requirement.min;
+      const max = typeof requirement.max === 'function' ? requirement.max(r) : requirement.max;
+      const reasons = [];
+
+      min !== undefined && value < min && reasons.push(min > 0 ? `needs ${min} ${name}, have ${value}` : `${name} must be ≥ ${min}, is ${value}`);
+      max !== undefined && value > max && reasons.push(`${name} must be ≤ ${max}, is ${value}`);
+
+      return reasons;
+    }
+
+    /**
+     * Get the amount of good results that the action has available in a loop, including those found by exploring
+     * earlier in the loop.
+     * @param {Koviko.Simulator~Explored} [explored] Exploration progress made so far in the loop
+     * @return {number} Amount of good results, or `Infinity` if every result is good
+     * @memberof Koviko.Prediction
+     */
+    good(explored = {}) {
+      if (!this.limit) {
+        return Infinity;
+      }
+
+      /** @var {number} */
+      const good = this.game.towns[this.action.townNum]['good' + this.limit.good] || 0;
+
+      /** @var {Koviko~ActionData|null} */
+      const explorer = this.limit.explore && this.game.actions[this.limit.explore.action] || null;
+
+      if (!explorer || !explored[explorer.name]) {
+        return good;
+      }
+
+      // Every level gained by exploring finds some more good results, rounded down from the level like the game does
+      const exp = this.game.towns[explorer.townNum]['exp' + explorer.varName] || 0;
+      const [before, after] = [exp, exp + explored[explorer.name]].map(x => Math.floor(Math.min(this.helpers.getTownLevelFromExp(x), 100) * this.limit.explore.good));
+
+      return good + after - before;
     }
 
     /**
      * Calculate the number of ticks needed to complete the action.
-     * @param {Koviko.Prediction~Action} a Action object
-     * @param {Koviko.Predictor~Stats} s Accumulated stat experience
+     * @param {Koviko~ActionData} a Action object
+     * @param {Koviko.Simulator~Stats} s Accumulated stat experience
+     * @return {number} Amount of ticks needed for the action to complete
      * @memberof Koviko.Prediction
      */
     updateTicks(a, s) {
-      let cost = Koviko.globals.statList.reduce((cost, i) => cost + (i in a.stats && i in s ? a.stats[i] / (1 + Koviko.globals.getLevelFromExp(s[i]) / 100) : 0), 0);
-      return (this._ticks = Math.ceil(a.manaCost() * cost - .000001));
+      let cost = this.game.statList.reduce((cost, i) => cost + (i in a.stats && i in s ? a.stats[i] / (1 + this.helpers.getLevelFromExp(s[i]) / 100) : 0), 0);
+      return (this._ticks = Math.ceil(a.manaCost * cost - .000001));
     }
 
     /**
-     * Get the pre-calculated amount of ticks needed for the action to complete.
+     * Get the pre-calculated amount of ticks needed for the action to complete. The amount depends on the stats at the
+     * start of each loop, so it has to be calculated with `updateTicks` before it can be read.
+     * @return {number} Amount of ticks needed for the action to complete
      * @memberof Koviko.Prediction
      */
     ticks() {
-      return this._ticks || this.updateTicks();
+      if (this._ticks === null) {
+        throw new Error(`The ticks of '${this.name}' were read before they were calculated.`);
+      }
+
+      return this._ticks;
     }
 
     /**
-     * Add the experience gained in one tick to the accumulated stat experience.
-     * @param {Koviko.Prediction~Action} a Action object
-     * @param {Koviko.Predictor~Stats} s Accumulated stat experience
+     * Add the experience gained in one or more ticks to the accumulated stat experience.
+     * @param {Koviko~ActionData} a Action object
+     * @param {Koviko.Simulator~Stats} s Accumulated stat experience
+     * @param {number} [ticks=1] Amount of ticks
      * @memberof Koviko.Prediction
      */
-    exp(a, s) {
-      Koviko.globals.statList.forEach(i => i in a.stats && i in s && (s[i] += a.stats[i] * a.expMult * (a.manaCost() / this.ticks()) * Koviko.globals.getTotalBonusXP(i)));
+    exp(a, s, ticks = 1) {
+      this.game.statList.forEach(i => i in a.stats && i in s && (s[i] += a.stats[i] * a.expMult * (a.manaCost / this.ticks()) * this.game.bonusXP[i] * ticks));
     }
   },
 
@@ -274,13 +508,185 @@ const Koviko = {
     get() {
       return this.attributes;
     }
+
+    /**
+     * Copy the snapshot, so that it is unaffected by later snapshots.
+     * @return {Object.<string, Koviko.Snapshot~Comparison>} Comparison values from the last snapshot to the current one
+     * @memberof Koviko.Snapshot
+     */
+    copy() {
+      const attributes = {};
+
+      for (let i in this.attributes) {
+        attributes[i] = Object.assign({}, this.attributes[i]);
+      }
+
+      return attributes;
+    }
   },
 
-  /** A predictor which uses Predictions to calculate and estimate an entire action list. */
-  Predictor: class {
+  /**
+   * Prediction rules for each version of the game, keyed by the version of the game that they were written for.
+   * @type {Object.<string, Koviko~Ruleset>}
+   */
+  rulesets: {
+    '0.85': {
+      base: null,
+      predictions: (g, h) => ({
+        // Beginnersville
+        // Exploring finds more of the good results of the town's other actions, such as one in ten new pots holding mana
+        'Wander': { explore: (r) => 200 * (r.glasses ? 4 : 1) },
+        'Smash Pots': { affected: ['mana'], limit: { good: 'Pots', explore: { action: 'Wander', good: .5 }, effect: (r) => r.mana += g.goldCost.smashPots } },
+        'Pick Locks': { affected: ['gold'], limit: { good: 'Locks', explore: { action: 'Meet People', good: .5 }, effect: (r) => r.gold += g.goldCost.locks } },
+        'Buy Glasses': { affected: ['gold'], canStart: { gold: { min: 10 } }, effect: (r) => (r.gold -= 10, r.glasses = true) },
+        'Buy Mana': { affected: ['mana', 'gold'], warn: (r) => r.gold > 0 ? null : 'buys no mana without gold', effect: (r) => (r.mana += r.gold * 50, r.gold = 0) },
+        'Meet People': { explore: () => 200 },
+        'Train Strength': {},
+        'Short Quest': { affected: ['gold'], limit: { good: 'SQuests', explore: { action: 'Investigate', good: 1 }, effect: (r) => r.gold += g.goldCost.sQuests } },
+        'Investigate': { explore: () => 500 },
+        'Long Quest': { affected: ['gold', 'rep'], limit: { good: 'LQuests', explore: { action: 'Investigate', good: .2 }, effect: (r) => (r.gold += g.goldCost.lQuests, r.rep += 1) } },
+        'Throw Party': { affected: ['rep'], effect: (r) => r.rep -= 2 },
+        'Warrior Lessons': { effect: (r, k) => k.combat += 100 },
+        'Mage Lessons': { effect: (r, k) => k.magic += 100 * (1 + h.getSkillLevelFromExp(k.alchemy) / 100) },
+        'Buy Supplies': { affected: ['gold'], canStart: { gold: { min: h.getSuppliesCost } }, warn: (r) => r.gold >= h.getSuppliesCost(r) ? null : `needs ${h.getSuppliesCost(r)} gold, has ${r.gold}`, effect: (r) => (r.gold -= h.getSuppliesCost(r), r.supplies = (r.supplies || 0) + 1) },
+        'Haggle': { affected: ['rep'], canStart: { rep: { min: 1 } }, effect: (r) => (r.rep--, r.supplyDiscount = (r.supplyDiscount >= 15 ? 15 : (r.supplyDiscount || 0) + 1)) },
+        'Start Journey': { canStart: { supplies: { min: 1 } }, warn: (r) => r.supplies > 0 ? null : 'needs supplies, which Buy Supplies buys', effect: (r) => (r.supplies = (r.supplies || 0) - 1, r.town += 1) },
+
+        // Forest Path
+        'Explore Forest': { explore: (r) => 100 * (r.glasses ? 2 : 1) },
+        'Wild Mana': { affected: ['mana'], limit: { good: 'WildMana', explore: { action: 'Explore Forest', good: .5 }, effect: (r) => r.mana += g.goldCost.wildMana } },
+        'Gather Herbs': { affected: ['herbs'], limit: { good: 'Herbs', explore: { action: 'Explore Forest', good: 1 }, effect: (r) => r.herbs++ } },
+        'Hunt': { affected: ['hide'], limit: { good: 'Hunt', explore: { action: 'Explore Forest', good: .2 }, effect: (r) => r.hide++ } },
+        'Sit By Waterfall': {},
+        'Old Shortcut': {},
+        'Talk To Hermit': {},
+        'Practical Magic': { effect: (r, k) => k.practical += 100 },
+        'Learn Alchemy': { affected: ['herbs'], canStart: { herbs: { min: 10 } }, effect: (r, k) => (r.herbs -= 10, k.alchemy += 50, k.magic += 50) },
+        'Brew Potions': { affected: ['herbs', 'potions'], canStart: { herbs: { min: 10 }, rep: { min: 5 } }, effect: (r, k) => (r.herbs -= 10, r.potions++, k.alchemy += 25, k.magic += 50) },
+        'Train Dex': {},
+        'Train Speed': {},
+        'Follow Flowers': {},
+        'Bird Watching': { canStart: { glasses: true } },
+        'Clear Thicket': {},
+        'Talk To Witch': {},
+        'Dark Magic': { affected: ['rep'], canStart: { rep: { max: 0 } }, effect: (r, k) => (r.rep--, k.dark += Math.floor(100 * (1 + g.buffs.Ritual / 100))) },
+        'Continue On': { effect: (r) => r.town += 1 },
+
+        // Merchanton
+        'Explore City': { explore: () => 100 },
+        'Gamble': { affected: ['gold', 'rep'], canStart: { rep: { min: -5 } }, limit: { good: 'Gamble', explore: { action: 'Explore City', good: 1 }, effect: (r) => r.gold += 40 }, effect: (r) => r.rep-- },
+        'Get Drunk': { affected: ['rep'], canStart: { rep: { min: -3 } }, effect: (r) => r.rep-- },
+        'Purchase Mana': { affected: ['mana', 'gold'], warn: (r) => r.gold > 0 ? null : 'buys no mana without gold', effect: (r) => (r.mana += r.gold * 50, r.gold = 0) },
+        'Sell Potions': { affected: ['gold', 'potions'], warn: (r) => r.potions > 0 ? null : 'sells nothing without potions', effect: (r, k) => (r.gold += r.potions * h.getSkillLevelFromExp(k.alchemy), r.potions = 0) },
+        'Read Books': {},
+        'Gather Team': { affected: ['gold'], canStart: { gold: { min: h.getTeamMemberCost } }, warn: (r) => r.gold >= h.getTeamMemberCost(r) ? null : `needs ${h.getTeamMemberCost(r)} gold for the next member, has ${r.gold}`, effect: (r) => (r.gold -= h.getTeamMemberCost(r), r.team = (r.team || 0) + 1) },
+        'Craft Armor': { affected: ['hide'], canStart: { hide: { min: 2 } }, effect: (r) => (r.hide -= 2, r.armor = (r.armor || 0) + 1) },
+        'Apprentice': { effect: (r, k) => (r.apprentice = (r.apprentice || 0) + 30 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 10 * (1 + h.getTownLevelFromExp(r.apprentice) / 100)) },
+        'Mason': { effect: (r, k) => (r.mason = (r.mason || 0) + 20 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 20 * (1 + h.getTownLevelFromExp(r.mason) / 100)) },
+        'Architect': { effect: (r, k) => (r.architect = (r.architect || 0) + 10 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 40 * (1 + h.getTownLevelFromExp(r.architect) / 100)) },
+        'Buy Pickaxe': { affected: ['gold'], canStart: { gold: { min: 200 } }, effect: (r) => (r.gold -= 200, r.pickaxe = true) },
+        'Start Trek': { effect: (r) => r.town += 1 },
+
+        // Mt. Olympus
+        'Climb Mountain': { explore: (r) => 100 * (r.pickaxe ? 2 : 1) },
+        'Mana Geyser': { affected: ['mana'], canStart: { pickaxe: true }, warn: (r) => r.pickaxe ? null : 'needs a pickaxe, which Buy Pickaxe buys', limit: { good: 'Geysers', explore: { action: 'Climb Mountain', good: .01 }, effect: (r) => r.mana += 5000 } },
+        'Decipher Runes': {},
+        'Chronomancy': { effect: (r, k) => k.chronomancy += 100 },
+        'Explore Cavern': { explore: () => 100 },
+        'Mine Soulstones': { affected: ['soul'], limit: { good: 'MineSoulstones', explore: { action: 'Explore Cavern', good: .3 }, effect: (r) => r.soul++ } },
+        'Pyromancy': { effect: (r, k) => k.pyromancy += 100 },
+        'Looping Potion': { affected: ['herbs', 'lpotions'], warn: (r) => r.herbs >= 200 ? null : `does nothing with fewer than 200 herbs, has ${r.herbs}`, effect: (r, k) => {
+          if ( r.herbs >= 200 ) {
+            (r.herbs -= 200, r.lpotions++, k.alchemy += 100)
+          }
+        }},
+        'Check Walls': { explore: () => 100 },
+        'Take Artifacts': { affected: ['artifacts'], limit: { good: 'Artifacts', explore: { action: 'Check Walls', good: .1 }, effect: (r) => r.artifacts++ } },
+        'Face Judgement': { effect: (r) => r.town += 1 },
+
+        // Town 5
+        'Fall From Grace': {},
+
+        // Loops without Max
+        'Heal The Sick': { affected: ['rep'], canStart: { rep: { min: 1 } }, loop: {
+          cost: (p, a) => segment => h.fibonacci(2 + Math.floor((p.completed + segment) / a.segments + .0000001)) * 5000,
+          tick: (p, a, s, k) => offset => h.getSkillLevelFromExp(k.magic) * Math.sqrt(1 + p.total / 100) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100),
+          effect: { end: (r, k) => k.magic += 10, loop: (r) => r.rep += 3 },
+        }},
+        'Fight Monsters': { affected: ['gold'], canStart: { rep: { min: 2 } }, loop: {
+          cost: (p, a) => segment => h.fibonacci(Math.floor((p.completed + segment) - p.completed / a.segments + .0000001)) * 10000,
+          tick: (p, a, s, k, r) => offset => h.getSelfCombat(r, k) * Math.sqrt(1 + p.total / 100) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100),
+          effect: { end: (r, k) => k.combat += 10, segment: (r) => r.gold += 20 },
+        }},
+        'Adventure Guild': { affected: ['gold', 'adventures'], loop: {
+          cost: (p) => segment => h.precision3(Math.pow(1.2, p.completed + segment)) * 5e6,
+          tick: (p, a, s, k, r) => offset => (h.getSelfCombat(r, k) + h.getSkillLevelFromExp(k.magic) / 2) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + p.total / 1000),
+          effect: { segment: (r) => (r.mana += 200, r.adventures++) }
+        }},
+        'Crafting Guild': { affected: ['gold', 'crafts'], loop: {
+          cost: (p) => segment => h.precision3(Math.pow(1.2, p.completed + segment)) * 2e6,
+          tick: (p, a, s, k) => offset => (h.getSkillLevelFromExp(k.magic) / 2 + h.getSkillLevelFromExp(k.crafting)) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + p.total / 1000),
+          effect: { segment: (r, k) => (r.gold += 10, r.crafts++, k.crafting += 50) }
+        }},
+        'Hunt Trolls': { affected: ['blood'], loop: {
+          cost: (p, a) => segment => h.precision3(Math.pow(2, Math.floor((p.completed + segment) / a.segments+.0000001)) * 1e6),
+          tick: (p, a, s, k, r) => offset => (h.getSelfCombat(r, k) * Math.sqrt(1 + p.total/100) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]])/100)),
+          effect: { loop: (r, k) => (r.blood++, k.combat += 1000) }
+        }},
+
+        // Loops with Max
+        'Small Dungeon': { affected: ['soul'], loop: {
+          max: (a) => g.dungeons[a.dungeonNum].length,
+          cost: (p, a) => segment => h.precision3(Math.pow(2, Math.floor((p.completed + segment) / a.segments + .0000001)) * 15000),
+          tick: (p, a, s, k, r) => offset => {
+            let floor = Math.floor(p.completed / a.segments + .0000001);
+
+            return floor in g.dungeons[a.dungeonNum] ? (h.getSelfCombat(r, k) + h.getSkillLevelFromExp(k.magic)) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + g.dungeons[a.dungeonNum][floor].completed / 200) : 0;
+          },
+          effect: { end: (r, k) => (k.combat += 5, k.magic += 5), loop: (r) => r.soul++ },
+          soulstones: { amount: 1, decay: .98 },
+        }},
+        'Large Dungeon': { affected: ['soul'], loop: {
+          max: (a) => g.dungeons[a.dungeonNum].length,
+          cost: (p, a) => segment => h.precision3(Math.pow(3, Math.floor((p.completed + segment) / a.segments + .0000001)) * 5e5),
+          tick: (p, a, s, k, r) => offset => {
+            let floor = Math.floor(p.completed / a.segments + .0000001);
+
+            return floor in g.dungeons[a.dungeonNum] ? (h.getTeamCombat(r, k) + h.getSkillLevelFromExp(k.magic)) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + g.dungeons[a.dungeonNum][floor].completed / 200) : 0;
+          },
+          effect: { end: (r, k) => (k.combat += 15, k.magic += 15), loop: (r) => r.soul += 10 },
+          soulstones: { amount: 10, decay: .98 },
+        }},
+        'Dark Ritual': { affected: ['ritual'], canStart: { rep: { max: -5 } }, loop: {
+          max: () => 1,
+          cost: (p) => segment => 1000000 * (segment * 2 + 1),
+          tick: (p, a, s, k) => offset => {
+            let attempt = Math.floor(p.completed / a.segments + .0000001);
+
+            return attempt < 1 ? (h.getSkillLevelFromExp(k.dark) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100)) / (1 - h.getTownLevel(1, 'Witch') * .005) : 0;
+          },
+          effect: { loop: (r) => r.ritual++ }
+        }},
+        'Imbue Mind': { affected: ['mind'], loop: {
+          max: () => 1,
+          cost: (p) => segment => 100000000 * (segment * 5 + 1),
+          tick: (p, a, s, k) => offset => {
+            let attempt = Math.floor(p.completed / a.segments + .0000001);
+
+            return attempt < 1 ? (h.getSkillLevelFromExp(k.magic) * (1 + h.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100)) : 0;
+          },
+          effect: { loop: (r) => r.mind++ },
+        }},
+      }),
+      overrides: {},
+    },
+  },
+
+  /** A headless simulation of an action list, using Predictions to calculate and estimate each action against a game state. */
+  Simulator: class {
     /**
      * Progression
-     * @typedef {Object} Koviko.Predictor~Progression
+     * @typedef {Object} Koviko.Simulator~Progression
      * @prop {number} completed The amount of total segments completed
      * @prop {number} progress The amount of progress in segments beyond that already represented in `completed`
      * @prop {number} total The amount of successful loops ever completed
@@ -288,149 +694,261 @@ const Koviko = {
 
     /**
      * Accumulated stat experience
-     * @typedef {Object.<string, number>} Koviko.Predictor~Stats
+     * @typedef {Object.<string, number>} Koviko.Simulator~Stats
      */
 
     /**
      * Accumulated skill experience
-     * @typedef {Object.<string, number>} Koviko.Predictor~Skills
+     * @typedef {Object.<string, number>} Koviko.Simulator~Skills
      */
 
     /**
      * Accumulated resources
-     * @typedef {Object.<string, number>} Koviko.Predictor~Resources
+     * @typedef {Object.<string, number>} Koviko.Simulator~Resources
      */
 
     /**
      * Accumulated progress
-     * @typedef {Object.<string, Koviko.Predictor~Progression>} Koviko.Predictor~Progress
+     * @typedef {Object.<string, Koviko.Simulator~Progression>} Koviko.Simulator~Progress
      */
 
     /**
-     * State object
-     * @typedef {Object} Koviko.Predictor~State
-     * @prop {Koviko.Predictor~Stats} stats Accumulated stat experience
-     * @prop {Koviko.Predictor~Skills} skills Accumulated skill experience
-     * @prop {Koviko.Predictor~Resources} resources Accumulated resources
-     * @prop {Koviko.Predictor~Progress} progress Accumulated progress
+     * Amount of times that each action with limited good results has been performed
+     * @typedef {Object.<string, number>} Koviko.Simulator~Limits
      */
 
     /**
-     * Create the predictor
-     * @param {Koviko~View} view IdleLoops view object
-     * @param {Object} actions IdleLoops actions object
-     * @param {Array.<Koviko~ListedAction>} actions.next Action List
-     * @param {HTMLElement} container Action list container
+     * Exploration progress made so far in the loop by each exploration action
+     * @typedef {Object.<string, number>} Koviko.Simulator~Explored
      */
-    constructor(view, actions, container) {
-      // Initialization steps broken into pieces, for my sake
-      this.initStyle();
-      this.initElements()
-      this.initPredictions();
 
-      // Prepare `updateNextActions` to be hooked
-      if (!view._updateNextActions) {
-        view._updateNextActions = view.updateNextActions;
-      }
+    /**
+     * Odds of the soulstones found on a single dungeon floor
+     * @typedef {Object} Koviko.Simulator~Floor
+     * @prop {number} dungeon Index of the dungeon
+     * @prop {number} floor Index of the floor within the dungeon
+     * @prop {number} amount Amount of soulstones given by a success
+     * @prop {number} decay Factor by which the chance of the floor changes after each success
+     * @prop {number} attempts Amount of times the floor has been completed
+     * @prop {Array.<number>} odds Chance of each amount of successes, by the amount of successes
+     */
 
-      // Hook `updateNextActions` with the predictor's update function
-      view.updateNextActions = () => {
-        view._updateNextActions();
-        this.update(actions.next, container);
-      };
+    /**
+     * Odds of the soulstones found on each dungeon floor, by dungeon and floor separated by a comma
+     * @typedef {Object.<string, Koviko.Simulator~Floor>} Koviko.Simulator~Soulstones
+     */
 
-      view.updateNextActions();
-    }
+    /**
+     * State object
+     * @typedef {Object} Koviko.Simulator~State
+     * @prop {Koviko.Simulator~Stats} stats Accumulated stat experience
+     * @prop {Koviko.Simulator~Skills} skills Accumulated skill experience
+     * @prop {Koviko.Simulator~Resources} resources Accumulated resources
+     * @prop {Koviko.Simulator~Progress} progress Accumulated progress
+     * @prop {Koviko.Simulator~Limits} limits Usage of the actions with limited good results
+     * @prop {Koviko.Simulator~Explored} explored Exploration progress made in the loop
+     * @prop {Koviko.Simulator~Soulstones} soulstones Odds of the soulstones found in dungeons
+     */
 
     /**
-     * Run a fake action list containing every possible action so that, hopefully, every function is ran at least once.
-     * @memberof Koviko.Predictor
+     * Usage of the good results of an action with limited good results
+     * @typedef {Object} Koviko.Simulator~LimitResult
+     * @prop {number} good Amount of good results available in the loop, including those found by exploring so far
+     * @prop {number} used Amount of times the action has been performed this loop, including this time
+     * @prop {number} remaining Amount of good results left after the action
+     * @prop {number} wasted Amount of loops of this action that had no good result left
      */
-    test() {
-      const actions = [];
 
-      for (const name in this.predictions) {
-        actions.push({ name: name, loops: 100 });
-      }
+    /**
+     * Soulstones that can be expected from dungeon floors
+     * @typedef {Object} Koviko.Simulator~SoulstoneResult
+     * @prop {number} expected Expected amount of soulstones
+     * @prop {number} min Least amount of soulstones possible
+     * @prop {number} max Most amount of soulstones possible
+     */
 
-      this.update(actions, null, true);
-    }
+    /**
+     * Soulstones that can be expected from all dungeon floors, and from each of them
+     * @typedef {Koviko.Simulator~SoulstoneResult} Koviko.Simulator~SoulstonesResult
+     * @prop {Array.<Koviko.Simulator~SoulstoneResult>} floors Soulstones of each floor, along with its `dungeon`, `floor` and `attempts`
+     */
 
     /**
-     * Build the style element responsible for the formatting of the predictor's values.
-     * @memberof Koviko.Predictor
+     * Prediction of a single action in the action list
+     * @typedef {Object} Koviko.Simulator~ActionResult
+     * @prop {string} name Name of the action
+     * @prop {number} loops Number of loops requested
+     * @prop {Koviko.Simulator~Resources} resources Accumulated resources after the action
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} stats Stat experience after the action, compared to before it
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} skills Skill experience after the action, compared to before it
+     * @prop {Object} levels Levels after the action, compared to before it
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} levels.stats Stat levels
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} levels.skills Skill levels
+     * @prop {number} mana Mana spent by the action
+     * @prop {number} ticks Time spent by the action, in game ticks
+     * @prop {number} elapsed Time spent by the action list up to the end of the action, in game ticks
+     * @prop {number} town Index of the town that the action belongs to
+     * @prop {boolean} isValid Whether the amount of mana remaining is valid for this action
+     * @prop {Array.<string>} shortages Names of the resources that ran short during the action, either by going below zero
+     * or by being too few for a loop to start
+     * @prop {Koviko.Simulator~Warning|null} warning What went wrong with a loop of the action, if anything did
+     * @prop {boolean} isReliable Whether every earlier action in the list was predicted, without which this prediction is off
+     * @prop {number|null} failedLoop Index of the loop that could not start, or `null` if every loop started
+     * @prop {Array.<string>} reasons Why the loop that could not start couldn't, or none if every loop started
+     * @prop {Koviko.Simulator~LimitResult|null} limit Usage of the good results, if the action has limited good results
+     * @prop {Koviko.Simulator~SoulstonesResult|null} soulstones Soulstones from the dungeon floors completed so far, if any
+     * @prop {Array.<Koviko.Simulator~Point>} timeline Resources over the course of the action, from its start and then
+     * after each loop has spent its mana and again after its effects
      */
-    initStyle() {
-      // Get the style element if it already exists for some reason
-      let style = document.getElementById('koviko');
 
-      // Build the CSS
-      let css = `
-      .nextActionContainer{width:auto!important;padding:0 4px}
-      #expandableList{overflow:hidden}
-      #nextActionsList{height:100%!important}
-      #nextActionsList:hover{margin-left:-100%;padding-left:100%}
-      #actionList>div:nth-child(2){left: 53px !important}
-      span.koviko{font-weight:bold;color:#8293ff}
-      div.koviko{top:-5px;left:auto;right:100%}
-      ul.koviko{list-style:none;margin:0;padding:0;pointer-events:none}
-      ul.koviko li{display:inline-block;margin: 0 2px;font-weight:bold;font-size:90%}
-      ul.koviko.invalid li{color:#c00!important}
-      ul.koviko .mana{color:#8293ff}
-      ul.koviko .gold{color:#d09249}
-      ul.koviko .rep{color:#b06f37}
-      ul.koviko .soul{color:#9d67cd}
-      ul.koviko .herbs{color:#4caf50}
-      ul.koviko .hide{color:#663300}
-      ul.koviko .potions{color:#00b2ee}
-      ul.koviko .lpoitons{color:#436ef7}
-      ul.koviko .blood{color:#8b0000}
-      ul.koviko .crafts{color:#777777}
-      ul.koviko .adventures{color:#191919}
-      ul.koviko .ritual{color:#ff1493}
-      ul.koviko .artifacts{color:#ffd700}
-      ul.koviko .mind{color:#006400}
-      `;
+    /**
+     * Explanation of what went wrong with a loop of an action, such as buying mana without gold
+     * @typedef {Object} Koviko.Simulator~Warning
+     * @prop {number} loop Index of the loop
+     * @prop {string} message What went wrong
+     */
 
-      // Create the <style> element if it doesn't already exist
-      if (!style || style.tagName.toLowerCase() !== 'style') {
-        style = document.createElement('style');
-        style.type = 'text/css';
-        style.id = 'koviko';
-        document.head.appendChild(style);
-      }
+    /**
+     * Resources at a point in time during an action
+     * @typedef {Object} Koviko.Simulator~Point
+     * @prop {number} ticks Time since the start of the action, in game ticks
+     * @prop {Koviko.Simulator~Resources} resources Resources at that time
+     */
 
-      // Clean out the <style> element and append the correct CSS
-      for (; style.lastChild; style.removeChild(style.lastChild));
-      style.appendChild(document.createTextNode(css));
-    }
+    /**
+     * Prediction of an entire action list
+     * @typedef {Object} Koviko.Simulator~Result
+     * @prop {Array.<string>} affected Names of the resources affected by the action list
+     * @prop {Array.<Koviko.Simulator~ActionResult|null>} actions Prediction of each action, or `null` where the action has no prediction
+     * @prop {number} total Total mana used by the action list
+     * @prop {number} ticks Total time used by the action list, in game ticks
+     * @prop {Koviko.Simulator~State} state State after the last action
+     * @prop {Array.<Object.<string, Koviko.Simulator~Distribution>|null>} [samples] Spread of each resource after each
+     * action across sampled runs, when the predictor samples the random parts of the game
+     */
 
     /**
-     * Build the element that shows the total mana required by the action list.
-     * @memberof Koviko.Predictor
+     * Comparison of the predictions of two action lists, where each value is that of the second action list along with
+     * its difference from the first
+     * @typedef {Object} Koviko.Simulator~Diff
+     * @prop {Koviko.Snapshot~Comparison} mana Total mana used
+     * @prop {Koviko.Snapshot~Comparison} ticks Total time used, in game ticks
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} resources Resources at the end of the action list
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} stats Stat levels at the end of the action list
+     * @prop {Object.<string, Koviko.Snapshot~Comparison>} skills Skill levels at the end of the action list
+     * @prop {Array.<Object.<string, Koviko.Snapshot~Comparison>>} actions The `loops`, `mana` and `ticks` of each action,
+     * along with its `name`, pairing each action of the second list with the same action of the first
+     */
+
+    /**
+     * State after an action, from which a later simulation can resume
+     * @typedef {Object} Koviko.Simulator~Checkpoint
+     * @prop {string} name Name of the action
+     * @prop {number} loops Number of loops requested
+     * @prop {string} affected Names of the resources affected by the action list that the action was a part of
+     * @prop {Koviko.Simulator~ActionResult|null} result Prediction of the action
+     * @prop {Koviko.Simulator~State} state State after the action
+     */
+
+    /**
+     * Options to be passed to the Simulator constructor
+     * @typedef {Object} Koviko.Simulator~Options
+     * @prop {boolean} [batch=true] Whether to perform ticks in batches where the outcome is the same as one at a time
+     * @prop {number} [seed] Seed of the random numbers used to sample the random parts of the game, which are otherwise
+     * predicted by their odds
+     */
+
+    /**
+     * Objective of an optimization
+     * @typedef {Object} Koviko.Simulator~Objective
+     * @prop {string} target What to optimize, which is `ticks` for the time spent, the name of a skill or a stat for its
+     * experience, or the name of a resource
+     * @prop {boolean} [minimize=false] Whether to make the target as small as possible, rather than as large as possible
+     */
+
+    /**
+     * Action of the action list that an optimization starts from
+     * @typedef {Koviko~ListedAction} Koviko.Simulator~TemplateAction
+     * @prop {number} [min] Fewest loops allowed, defaulting to none, or to the listed loops when minimizing
+     * @prop {number} [max=Infinity] Most loops allowed
+     */
+
+    /**
+     * Outcome of an optimization
+     * @typedef {Object} Koviko.Simulator~Optimization
+     * @prop {Array.<Koviko~ListedAction>|null} actions Best action list found, or `null` if no action list that was
+     * tried keeps mana above zero
+     * @prop {string} target What was optimized
+     * @prop {number|null} value Value of the target at the end of the best action list, or `null` without one
+     * @prop {number} initial Value of the target at the end of the template
+     * @prop {boolean} isValid Whether an action list that keeps mana above zero was found
+     * @prop {number} runs Amount of action lists simulated
+     */
+
+    /**
+     * Outcome of a single loop of a projection over many loops
+     * @typedef {Object} Koviko.Simulator~ProjectedLoop
+     * @prop {number} loop Number of the loop, starting from 1
+     * @prop {number} mana Mana used by the action list
+     * @prop {number} ticks Time used by the action list, in game ticks
+     * @prop {boolean} isValid Whether mana stays above zero throughout the action list
+     * @prop {Koviko.Simulator~Resources} resources Resources at the end of the loop
+     * @prop {Object.<string, number>} skills Skill levels at the end of the loop
+     * @prop {Array.<number>} floors Amount of floors completed in each dungeon during the loop
+     * @prop {number} soulstones Soulstones expected from dungeons over every loop so far
+     */
+
+    /**
+     * Spread of a value across many sampled runs of an action list
+     * @typedef {Object} Koviko.Simulator~Distribution
+     * @prop {number} mean Average value
+     * @prop {number} min Lowest value
+     * @prop {number} max Highest value
+     * @prop {Object.<number, number>} percentiles Value at each percentile
      */
-    initElements() {
-      // Find the display element for the total if it already exists
-      let parent = document.getElementById('actionList').firstElementChild;
 
+    /**
+     * Create the simulator
+     * @param {Koviko~GameState} game Game state to simulate against
+     * @param {Koviko.Simulator~Options} [options] Options
+     */
+    constructor(game, options = {}) {
       /**
-       * Element that displays the total amount of mana used in the action list
-       * @member {HTMLElement}
+       * Game state to simulate against
+       * @member {Koviko~GameState}
        */
-      this.totalDisplay = [...parent.children].reduce((total, el, i, arr) => total || el.className === 'koviko' && el, false);
+      this.game = game;
 
-      // If the element doesn't already exist, create it
-      if (!this.totalDisplay) {
-        this.totalDisplay = document.createElement('span');
-        this.totalDisplay.className = 'koviko';
-        this.totalDisplay.style = 'padding-left:50px;';
-        parent.appendChild(this.totalDisplay);
-      }
+      /**
+       * Whether to perform ticks in batches where the outcome is the same as one at a time
+       * @member {boolean}
+       */
+      this.batch = options.batch !== false;
+
+      /**
+       * State of the random numbers used to sample the random parts of the game, or `null` to predict them by their odds
+       * @member {number|null}
+       */
+      this.seed = typeof options.seed === 'number' ? options.seed : null;
+
+      /**
+       * State after each action of the last simulated action list
+       * @member {Array.<Koviko.Simulator~Checkpoint>}
+       */
+      this.checkpoints = [];
+
+      this.initPredictions();
+
+      /**
+       * Serialized game state, for comparison with other game states
+       * @member {string}
+       */
+      this.key = this.fingerprint(game);
     }
 
     /**
      * Build all of the necessary components to make predictions about each action.
-     * @memberof Koviko.Predictor
+     * @memberof Koviko.Simulator
      */
     initPredictions() {
       /**
@@ -439,441 +957,3202 @@ const Koviko = {
        * @namespace
        */
       this.helpers = (this.helpers || {
+        /**
+         * Get the level of a stat, mirroring the game's `getLevelFromExp`.
+         * @param {number} exp Amount of experience in the stat
+         * @return {number} Level of the stat
+         * @memberof Koviko.Simulator#helpers
+         */
+        getLevelFromExp: (exp) => Math.floor((Math.sqrt(8 * exp / 100 + 1) - 1) / 2),
+
+        /**
+         * Get the level of a skill, mirroring the game's `getSkillLevelFromExp`.
+         * @param {number} exp Amount of experience in the skill
+         * @return {number} Level of the skill
+         * @memberof Koviko.Simulator#helpers
+         */
+        getSkillLevelFromExp: (exp) => Math.floor((Math.sqrt(8 * exp / 100 + 1) - 1) / 2),
+
+        /**
+         * Calculate the value of the given index of the Fibonacci sequence, mirroring the game's `fibonacci`.
+         * @param {number} num Index in the sequence, where both 0 and 1 are 1
+         * @return {number} Value at the index
+         * @memberof Koviko.Simulator#helpers
+         */
+        fibonacci: (num) => {
+          let a = 1, b = 0;
+          for (; num >= 0; num--) [a, b] = [a + b, a];
+          return b;
+        },
+
+        /**
+         * Round a number to a precision of 3, mirroring the game's `precision3`.
+         * @param {number} num Number to round
+         * @return {number} Rounded number
+         * @memberof Koviko.Simulator#helpers
+         */
+        precision3: (num) => Number(num.toPrecision(3)),
+
         /**
          * Get the level of a town attribute.
          * @param {number} exp Amount of experience in the town attribute
          * @return {number} Current level of town attribute
-         * @memberof Koviko.Predictor#helpers
+         * @memberof Koviko.Simulator#helpers
          */
         getTownLevelFromExp: (exp) => Math.floor((Math.sqrt(8 * exp / 100 + 1) - 1) / 2),
 
+        /**
+         * Get the level of a town attribute from the game state, which the game caps at 100.
+         * @param {number} town Index of the town
+         * @param {string} varName Unique identifier of the town attribute
+         * @return {number} Current level of town attribute
+         * @memberof Koviko.Simulator#helpers
+         */
+        getTownLevel: (town, varName) => Math.min(h.getTownLevelFromExp(g.towns[town]['exp' + varName] || 0), 100),
+
         /**
          * Get the current guild rank's bonus, noting that there is a max of 15 ranks, base zero.
-         * @param {Koviko.Predictor~Resources} r Accumulated resources
+         * @param {Koviko.Simulator~Resources} r Accumulated resources
          * @return {number} Current bonus from guild rank
-         * @memberof Koviko.Predictor#helpers
+         * @memberof Koviko.Simulator#helpers
          */
-        getGuildRankBonus: (guild) => Math.floor(guild / 3 + .00001) >= 14 ? Math.floor(1 + 2.25 + (45 ** 2) / 300) : g.precision3(1 + guild / 20 + (guild ** 2) / 300),
+        getGuildRankBonus: (guild) => Math.floor(guild / 3 + .00001) >= 14 ? Math.floor(1 + 2.25 + (45 ** 2) / 300) : h.precision3(1 + guild / 20 + (guild ** 2) / 300),
 
         /**
          * Calculate the combat skill specifically affecting the team leader
-         * @param {Koviko.Predictor~Resources} r Accumulated resources
-         * @param {Koviko.Predictor~Skills} k Accumulated skills
+         * @param {Koviko.Simulator~Resources} r Accumulated resources
+         * @param {Koviko.Simulator~Skills} k Accumulated skills
          * @return {number} Combat skill of the team leader
-         * @memberof Koviko.Predictor#helpers
+         * @memberof Koviko.Simulator#helpers
          */
-        getSelfCombat: (r, k) => (g.getSkillLevelFromExp(k.combat) + g.getSkillLevelFromExp(k.pyromancy) * 5) * (1 + ((r.armor || 0) * h.getGuildRankBonus(r.crafts || 0)) / 5),
+        getSelfCombat: (r, k) => (h.getSkillLevelFromExp(k.combat) + h.getSkillLevelFromExp(k.pyromancy) * 5) * (1 + ((r.armor || 0) * h.getGuildRankBonus(r.crafts || 0)) / 5),
 
         /**
          * Calculate the combat skill of the entire team
-         * @param {Koviko.Predictor~Resources} r Accumulated resources
-         * @param {Koviko.Predictor~Skills} k Accumulated skills
+         * @param {Koviko.Simulator~Resources} r Accumulated resources
+         * @param {Koviko.Simulator~Skills} k Accumulated skills
          * @return {number} Combat skill of the team members
-         * @memberof Koviko.Predictor#helpers
+         * @memberof Koviko.Simulator#helpers
+         */
+        getTeamCombat: (r, k) => h.getSelfCombat(r, k) + h.getSkillLevelFromExp(k.combat) * (r.team || 0) / 2 * h.getGuildRankBonus(r.adventures || 0),
+
+        /**
+         * Get the price of supplies, mirroring the game's `getSuppliesCost`.
+         * @param {Koviko.Simulator~Resources} r Accumulated resources
+         * @return {number} Gold that supplies cost after haggling
+         * @memberof Koviko.Simulator#helpers
+         */
+        getSuppliesCost: (r) => 300 - Math.max((r.supplyDiscount || 0) * 20, 0),
+
+        /**
+         * Get the price of the next team member.
+         * @param {Koviko.Simulator~Resources} r Accumulated resources
+         * @return {number} Gold that the next team member costs
+         * @memberof Koviko.Simulator#helpers
+         */
+        getTeamMemberCost: (r) => ((r.team || 0) + 1) * 200,
+
+        /**
+         * Get how many times faster the Ritual buff makes time pass in a town. The first 20 levels of the buff speed up
+         * the first town, the next 20 the second town, and the 20 after those the third town.
+         * @param {number} town Index of the town
+         * @return {number} Divisor of the time spent in the town
+         * @memberof Koviko.Simulator#helpers
          */
-        getTeamCombat: (r, k) => h.getSelfCombat(r, k) + g.getSkillLevelFromExp(k.combat) * (r.team || 0) / 2 * h.getGuildRankBonus(r.adventures || 0),
+        getRitualDivisor: (town) => town < 3 ? 1 + Math.min(Math.max((g.buffs.Ritual || 0) - town * 20, 0), 20) / (10 * Math.pow(2, town)) : 1,
       });
 
-      // Alias the globals to a shorter variable name
-      const g = Koviko.globals;
+      // Alias the game state to a shorter variable name
+      const g = this.game;
       const h = this.helpers;
 
+      /**
+       * Ruleset that the predictions are made with
+       * @member {Koviko~Ruleset}
+       */
+      this.ruleset = this.findRuleset(g.version);
+
       /**
        * Prediction parameters
        * @type {Object.<string, Koviko.Prediction~Parameters>}
        */
-      const predictions = {
-        // Beginnersville
-        'Wander': {},
-        'Smash Pots': { affected: ['mana'], effect: (r) => {
-          r.temp1 = (r.temp1 || 0) + 1;
-          r.mana += r.temp1 <= towns[0].goodPots ? g.goldCostSmashPots() : 0;
-        }},
-        'Pick Locks': { affected: ['gold'], effect: (r) => {
-          r.temp2 = (r.temp2 || 0) + 1;
-          r.gold += r.temp2 <= towns[0].goodLocks ? g.goldCostLocks() : 0;
-        }},
-        'Buy Glasses': { effect: (r) => (r.gold -= 10, r.glasses = true) },
-        'Buy Mana': { affected: ['mana', 'gold'], effect: (r) => (r.mana += r.gold * 50, r.gold = 0) },
-        'Meet People': {},
-        'Train Strength': {},
-        'Short Quest': { affected: ['gold'], effect: (r) => {
-          r.temp3 = (r.temp3 || 0) + 1;
-          r.gold += r.temp3 <= towns[0].goodSQuests ? g.goldCostSQuests() : 0;
-        }},
-        'Investigate': {},
-        'Long Quest': { affected: ['gold', 'rep'], effect: (r) => {
-          r.temp4 = (r.temp4 || 0) + 1;
-          r.gold += r.temp4 <= towns[0].goodLQuests ? g.goldCostLQuests() : 0;
-          r.rep += r.temp4 <= towns[0].goodLQuests ? 1 : 0;
-        }},
-        'Throw Party': { affected: ['rep'], effect: (r) => r.rep -= 2 },
-        'Warrior Lessons': { effect: (r, k) => k.combat += 100 },
-        'Mage Lessons': { effect: (r, k) => k.magic += 100 * (1 + g.getSkillLevelFromExp(k.alchemy) / 100) },
-        'Buy Supplies': { affected: ['gold'], effect: (r) => (r.gold -= 300 - Math.max((r.supplyDiscount || 0) * 20, 0), r.supplies = (r.supplies || 0) + 1) },
-        'Haggle': { affected: ['rep'], canStart: (input) => (input.rep > 0), effect: (r) => (r.rep--, r.supplyDiscount = (r.supplyDiscount >= 15 ? 15 : (r.supplyDiscount || 0) + 1)) },
-        'Start Journey': { effect: (r) => (r.supplies = (r.supplies || 0) - 1, r.town += 1) },
+      const predictions = this.buildRuleset(this.ruleset);
 
-        // Forest Path
-        'Explore Forest': {},
-        'Wild Mana': { affected: ['mana'], effect: (r) => {
-          r.temp5 = (r.temp5 || 0) + 1;
-          r.mana += r.temp5 <= towns[1].goodWildMana ? g.goldCostWildMana() : 0;
-        }},
-        'Gather Herbs': { affected: ['herbs'], effect: (r) => {
-          r.temp6 = (r.temp6 || 0) + 1;
-          r.herbs += r.temp6 <= towns[1].goodHerbs ? 1 : 0;
-        }},
-        'Hunt': { affected: ['hide'], effect: (r) => {
-          r.temp7 = (r.temp7 || 0) + 1;
-          r.hide += r.temp7 <= towns[1].goodHunt ? 1 : 0;
-        }},
-        'Sit By Waterfall': {},
-        'Old Shortcut': {},
-        'Talk To Hermit': {},
-        'Practical Magic': { effect: (r, k) => k.practical += 100 },
-        'Learn Alchemy': { affected: ['herbs'], canStart: (input) => (input.herbs >= 10), effect: (r, k) => (r.herbs -= 10, k.alchemy += 50, k.magic += 50) },
-        'Brew Potions': { affected: ['herbs', 'potions'], canStart: (input) => (input.herbs >= 10 && input.rep >= 5), effect: (r, k) => (r.herbs -= 10, r.potions++, k.alchemy += 25, k.magic += 50) },
-        'Train Dex': {},
-        'Train Speed': {},
-        'Follow Flowers': {},
-        'Bird Watching': {canStart: (input) => input.glasses},
-        'Clear Thicket': {},
-        'Talk To Witch': {},
-        'Dark Magic': { affected: ['rep'], canStart: (input) => (input.rep <= 0), effect: (r, k) => (r.rep--, k.dark += Math.floor(100 * (1 + buffs.Ritual.amt / 100))) },
-        'Continue On': { effect: (r) => r.town += 1 },
+      /**
+       * Prediction collection
+       * @member {Object.<string, Prediction>}
+       */
+      this.predictions = {};
 
-        // Merchanton
-        'Explore City': {},
-        'Gamble': { affected: ['gold', 'rep'], canStart: (input) => (input.rep >= -5), effect: (r) => {
-          r.temp8 = (r.temp8 || 0) + 1;
-          r.gold += r.temp8 <= towns[2].goodGamble ? 40 : 0;
-          r.rep--;
-        }},
-        'Get Drunk': { affected: ['rep'], canStart: (input) => (input.rep >= -3), effect: (r) => r.rep-- },
-        'Purchase Mana': { affected: ['mana', 'gold'], effect: (r) => (r.mana += r.gold * 50, r.gold = 0) },
-        'Sell Potions': { affected: ['gold', 'potions'], effect: (r, k) => (r.gold += r.potions * g.getSkillLevelFromExp(k.alchemy), r.potions = 0) },
-        'Read Books': {},
-        'Gather Team': { affected: ['gold'], effect: (r) => (r.team = (r.team || 0) + 1, r.gold -= r.team * 200) },
-        'Craft Armor': { affected: ['hide'], canStart: (input) => (input.hide >= 2), effect: (r) => (r.hide -= 2, r.armor = (r.armor || 0) + 1) },
-        'Apprentice': { effect: (r, k) => (r.apprentice = (r.apprentice || 0) + 30 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 10 * (1 + h.getTownLevelFromExp(r.apprentice) / 100)) },
-        'Mason': { effect: (r, k) => (r.mason = (r.mason || 0) + 20 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 20 * (1 + h.getTownLevelFromExp(r.mason) / 100)) },
-        'Architect': { effect: (r, k) => (r.architect = (r.architect || 0) + 10 * h.getGuildRankBonus(r.crafts || 0), k.crafting += 40 * (1 + h.getTownLevelFromExp(r.architect) / 100)) },
-        'Buy Pickaxe': { affected: ['gold'], effect: (r) => (r.gold -= 200, r.pickaxe = true) },
-        'Start Trek': { effect: (r) => r.town += 1 },
+      // Create predictions
+      for (const name in predictions) {
+        this.predictions[name] = new Koviko.Prediction(name, predictions[name], g, h);
+      }
+    }
 
-        // Mt. Olympus
-        'Climb Mountain': {},
-        'Mana Geyser': { affected: ['mana'], canStart: (input) => input.pickaxe, effect: (r) => {
-          r.temp9 = (r.temp9 || 0) + 1;
-          r.mana += r.temp9 <= towns[3].goodGeysers ? 5000 : 0;
-        }},
-        'Decipher Runes': {},
-        'Chronomancy': { effect: (r, k) => k.chronomancy += 100 },
-        'Explore Cavern': {},
-        'Mine Soulstones': { affected: ['soul'], effect: (r) => {
-          r.temp10 = (r.temp10 || 0) + 1;
-          r.soul += r.temp10 <= towns[3].goodMineSoulstones ? 1 : 0;
-        }},
-        'Pyromancy': { effect: (r, k) => k.pyromancy += 100 },
-        'Looping Potion': { affected: ['herbs', 'lpotions'], effect: (r, k) => {
-          if ( r.herbs >= 200 ) {
-            (r.herbs -= 200, r.lpoitons++, k.alchemy += 100)
-          }
-        }},
-        'Check Walls': {},
-        'Take Artifacts': { affected: ['artifacts'], effect: (r) => {
-          r.temp11 = (r.temp11 || 0) + 1;
-          r.artifacts += r.temp11 <= towns[3].goodArtifacts ? 1 : 0;
-        }},
-        'Face Judgement': { effect: (r) => r.town += 1 },
+    /**
+     * Find the ruleset for a game version, which is the newest ruleset that isn't newer than the game.
+     * @param {string|null} version Game version
+     * @return {Koviko~Ruleset} Ruleset for the game version, or the newest ruleset if the version is unknown
+     * @memberof Koviko.Simulator
+     */
+    findRuleset(version) {
+      const versions = Object.keys(Koviko.rulesets).sort((a, b) => parseFloat(a) - parseFloat(b));
+
+      if (version in Koviko.rulesets) {
+        return Koviko.rulesets[version];
+      }
+
+      return Koviko.rulesets[versions.filter(x => parseFloat(x) <= parseFloat(version)).pop() || versions[versions.length - 1]];
+    }
+
+    /**
+     * Build the prediction parameters of a ruleset on top of those of the ruleset it is based on.
+     * @param {Koviko~Ruleset} ruleset Ruleset
+     * @return {Object.<string, Koviko.Prediction~Parameters>} Prediction parameters, keyed by action name
+     * @memberof Koviko.Simulator
+     */
+    buildRuleset(ruleset) {
+      const predictions = Object.assign(ruleset.base ? this.buildRuleset(Koviko.rulesets[ruleset.base]) : {}, ruleset.predictions(this.game, this.helpers));
+
+      for (const name in ruleset.overrides) {
+        predictions[name] = ruleset.overrides[name](this.game, this.helpers);
+      }
+
+      return predictions;
+    }
+
+    /**
+     * Simulate an action list from the start of a loop, resuming from the checkpoints of the last simulated list where
+     * the lists start out the same.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @return {Koviko.Simulator~Result} Prediction of the action list
+     * @memberof Koviko.Simulator
+     */
+    run(actions) {
+      /** @var {Koviko~GameState} */
+      const g = this.game;
+
+      /**
+       * All affected resources of the current action list
+       * @var {Array.<string>}
+       */
+      const affected = Object.keys(actions.reduce((stats, x) => (x.name in this.predictions && this.predictions[x.name].affected || []).reduce((stats, name) => (stats[name] = true, stats), stats), {}));
+
+      /**
+       * Amount of actions at the start of the list that are unchanged since the last simulated list
+       * @var {number}
+       */
+      let start = 0;
+
+      // Checkpoints only hold if the same resources were initialized at the start of the loop
+      for (let checkpoint; (checkpoint = this.checkpoints[start]) && start < actions.length; start++) {
+        if (checkpoint.affected !== affected.join() || checkpoint.name !== actions[start].name || checkpoint.loops !== actions[start].loops) {
+          break;
+        }
+      }
+
+      // Forget the checkpoints of the actions that changed
+      this.checkpoints.splice(start);
+
+      /**
+       * Organize accumulated resources, accumulated stats, and accumulated progress into a single object
+       * @var {Koviko.Simulator~State}
+       */
+      const state = start ? this.clone(this.checkpoints[start - 1].state) : this.begin();
+
+      // Initialize all affected resources
+      start || affected.forEach(x => state.resources[x] || (state.resources[x] = 0));
+
+      /**
+       * Snapshots of accumulated stats and accumulated skills
+       * @var {Object}
+       * @prop {Koviko.Snapshot} stats Snapshot of accumulated stats
+       * @prop {Koviko.Snapshot} skills Snapshot of accumulated skills
+       */
+      const snapshots = {
+        stats: new Koviko.Snapshot(state.stats),
+        skills: new Koviko.Snapshot(state.skills),
+      };
+
+      // Run through the rest of the action list, predicting each action and checkpointing the state after it
+      actions.slice(start).forEach((listedAction) => {
+        /** @var {Koviko.Simulator~ActionResult|null} */
+        const result = this.act(listedAction, state, snapshots);
+
+        // Nothing after an action without a prediction can be trusted
+        if (result) {
+          result.isReliable = this.checkpoints.every(x => x.result);
+          result.elapsed = this.checkpoints.reduce((elapsed, x) => elapsed + (x.result ? x.result.ticks : 0), result.ticks);
+        }
+
+        this.checkpoints.push({
+          name: listedAction.name,
+          loops: listedAction.loops,
+          affected: affected.join(),
+          result: result,
+          state: this.clone(state),
+        });
+      });
+
+      /** @var {Array.<Koviko.Simulator~ActionResult|null>} */
+      const results = this.checkpoints.map(x => x.result);
+
+      return {
+        affected: affected,
+        actions: results,
+        total: results.reduce((total, x) => total + (x ? x.mana : 0), 0),
+        ticks: results.reduce((ticks, x) => ticks + (x ? x.ticks : 0), 0),
+        state: state,
+      };
+    }
+
+    /**
+     * Build the state that a simulation starts from, which is the start of a loop unless the game state holds the
+     * position of the running loop.
+     * @return {Koviko.Simulator~State} State object
+     * @memberof Koviko.Simulator
+     */
+    begin() {
+      /** @var {Koviko~GameState} */
+      const g = this.game;
+
+      /** @var {Koviko.Simulator~State} */
+      const state = {
+        resources: { mana: 250, town: 0 },
+        stats: g.statList.reduce((stats, name) => (stats[name] = 0, stats), {}),
+        skills: Object.assign({}, g.skills),
+        progress: {},
+        limits: {},
+        explored: {},
+        soulstones: {},
+      };
+
+      if (!g.start) {
+        return state;
+      }
+
+      Object.assign(state.resources, g.start.resources);
+      Object.assign(state.stats, g.start.stats);
+
+      // Pick up the loops and the good results where the running loop left them
+      for (let name in this.predictions) {
+        const prediction = this.predictions[name];
+        const town = prediction.action && g.towns[prediction.action.townNum];
+
+        if (town && prediction.loop) {
+          state.progress[name] = {
+            progress: town[prediction.action.varName] || 0,
+            completed: town[prediction.action.varName + 'LoopCounter'] || 0,
+            total: town['total' + prediction.action.varName],
+          };
+        }
+
+        if (town && prediction.limit && 'goodTemp' + prediction.limit.good in town) {
+          state.limits[name] = prediction.good() - town['goodTemp' + prediction.limit.good];
+        }
+      }
+
+      return state;
+    }
+
+    /**
+     * Predict every loop of an action in the action list.
+     * @param {Koviko~ListedAction} listedAction Action in the action list
+     * @param {Koviko.Simulator~State} state State object
+     * @param {Object.<string, Koviko.Snapshot>} snapshots Snapshots of accumulated stats and accumulated skills
+     * @return {Koviko.Simulator~ActionResult|null} Prediction of the action, or `null` if the action has no prediction
+     * @memberof Koviko.Simulator
+     */
+    act(listedAction, state, snapshots) {
+      /** @var {Koviko~GameState} */
+      const g = this.game;
+
+      /** @var {Koviko.Prediction} */
+      let prediction = this.predictions[listedAction.name];
+
+      if (!prediction || !prediction.action) {
+        return null;
+      }
+
+      /** @var {boolean} */
+      let isValid = true;
+
+      /** @var {number} */
+      let currentMana;
+
+      /**
+       * Mana spent by the action
+       * @var {number}
+       */
+      let mana = 0;
+
+      /**
+       * Time spent by the action
+       * @var {number}
+       */
+      let ticks = 0;
+
+      /**
+       * Index of the loop that could not start
+       * @var {number|null}
+       */
+      let failedLoop = null;
+
+      /**
+       * Start conditions that the loop that could not start didn't meet
+       * @var {Array.<string>}
+       */
+      let reasons = [];
+
+      /**
+       * Resources that ran short during the action
+       * @var {Array.<string>}
+       */
+      let shortages = [];
+
+      /**
+       * Amount of loops that had no good result left
+       * @var {number}
+       */
+      let wasted = 0;
+
+      /**
+       * What went wrong with the first loop that something went wrong with
+       * @var {Koviko.Simulator~Warning|null}
+       */
+      let warning = null;
+
+      /**
+       * Resources over the course of the action
+       * @var {Array.<Koviko.Simulator~Point>}
+       */
+      const timeline = [{ ticks: 0, resources: Object.assign({}, state.resources) }];
+
+      // Make sure that the loop is properly represented in `state.progress`
+      if (prediction.loop && !(prediction.name in state.progress)) {
+        /** @var {Koviko.Simulator~Progression} */
+        state.progress[prediction.name] = {
+          progress: 0,
+          completed: 0,
+          total: g.towns[prediction.action.townNum]['total' + prediction.action.varName],
+        };
+      }
+
+      // Predict each loop in sequence
+      for (let loop = 0; loop < listedAction.loops; loop++) {
+        // Explain the first loop that goes wrong, even if it then can't start
+        if (!warning && prediction.warn) {
+          const message = prediction.warn(state.resources);
+          warning = message ? { loop: loop, message: message } : null;
+        }
+
+        // Stop at the first loop that can't start
+        if (!prediction.canStart(state.resources)) {
+          failedLoop = loop;
+          reasons = prediction.reasons(state.resources);
+          shortages = shortages.concat(prediction.unmet(state.resources).filter(x => !shortages.includes(x)));
+          break;
+        }
+
+        // Save the mana prior to the prediction
+        currentMana = state.resources.mana;
+
+        // Run the prediction
+        this.predict(prediction, state);
+
+        // Check if the amount of mana used was too much
+        isValid = isValid && state.resources.mana >= 0;
+
+        // Only for Adventure Guild
+        if ( listedAction.name == "Adventure Guild" ) {
+          state.resources.mana -= state.resources.adventures * 200;
+        }
+
+        // Calculate the amount of mana used in the prediction
+        mana += currentMana - state.resources.mana;
+
+        // Only for Adventure Guild
+        if ( listedAction.name == "Adventure Guild" ) {
+          state.resources.mana += state.resources.adventures * 200;
+        }
+
+        // Calculate time spent
+        ticks += this.time(currentMana - state.resources.mana, state.resources.town);
+        timeline.push({ ticks: ticks, resources: Object.assign({}, state.resources) });
+
+        // Run the effect, now that the mana checks are complete
+        if (prediction.effect) {
+          prediction.effect(state.resources, state.skills);
+        }
+        if (prediction.limit) {
+          state.limits[prediction.name] = (state.limits[prediction.name] || 0) + 1;
+
+          if (state.limits[prediction.name] <= prediction.good(state.explored)) {
+            prediction.limit.effect(state.resources, state.skills);
+          } else {
+            wasted++;
+          }
+        }
+        if (prediction.loop) {
+          if (prediction.loop.effect.end) {
+            prediction.loop.effect.end(state.resources, state.skills);
+          }
+        }
+        if (prediction.explore) {
+          state.explored[prediction.name] = (state.explored[prediction.name] || 0) + prediction.explore(state.resources);
+        }
+
+        timeline.push({ ticks: ticks, resources: Object.assign({}, state.resources) });
+
+        // Reputation is the only resource that the game lets go below zero
+        shortages = shortages.concat(Object.keys(state.resources).filter(x => x !== 'rep' && state.resources[x] < 0 && !shortages.includes(x)));
+      }
+
+      // Update the snapshots
+      for (let i in snapshots) {
+        snapshots[i].snap(state[i]);
+      }
+
+      /** @var {Object.<string, Koviko.Snapshot~Comparison>} */
+      const stats = snapshots.stats.copy();
+
+      /** @var {Object.<string, Koviko.Snapshot~Comparison>} */
+      const skills = snapshots.skills.copy();
+
+      return {
+        name: listedAction.name,
+        loops: listedAction.loops,
+        resources: Object.assign({}, state.resources),
+        stats: stats,
+        skills: skills,
+        levels: {
+          stats: this.levels(stats, this.helpers.getLevelFromExp),
+          skills: this.levels(skills, this.helpers.getSkillLevelFromExp),
+        },
+        mana: mana,
+        ticks: ticks,
+        town: prediction.action.townNum,
+        isValid: isValid,
+        shortages: shortages,
+        warning: warning,
+        failedLoop: failedLoop,
+        reasons: reasons,
+        limit: prediction.limit ? {
+          good: prediction.good(state.explored),
+          used: state.limits[prediction.name] || 0,
+          remaining: Math.max(prediction.good(state.explored) - (state.limits[prediction.name] || 0), 0),
+          wasted: wasted,
+        } : null,
+        soulstones: this.soulstones(state),
+        timeline: timeline,
+      };
+    }
+
+    /**
+     * Convert an amount of mana spent into the time it takes, which Chronomancy and the Ritual buff shorten.
+     * @param {number} mana Amount of mana spent
+     * @param {number} town Index of the town that the mana is spent in
+     * @return {number} Time taken, in game ticks
+     * @memberof Koviko.Simulator
+     */
+    time(mana, town) {
+      return mana / Math.pow(1 + this.helpers.getSkillLevelFromExp(this.game.skills.chronomancy || 0) / 60, 0.25) / this.helpers.getRitualDivisor(town);
+    }
+
+    /**
+     * Sum up the soulstones that can be expected from the dungeon floors completed so far.
+     * @param {Koviko.Simulator~State} state State object
+     * @return {Koviko.Simulator~SoulstonesResult|null} Soulstones from the dungeon floors, or `null` if none were completed
+     * @memberof Koviko.Simulator
+     */
+    soulstones(state) {
+      /** @var {Array.<Koviko.Simulator~SoulstoneResult>} */
+      const floors = Object.keys(state.soulstones).map((key) => {
+        /** @var {Koviko.Simulator~Floor} */
+        const floor = state.soulstones[key];
+
+        /**
+         * Amounts of successes that have any chance of happening
+         * @var {Array.<number>}
+         */
+        const possible = floor.odds.map((chance, successes) => chance > 0 ? successes : -1).filter(x => x >= 0);
+
+        return {
+          dungeon: floor.dungeon,
+          floor: floor.floor,
+          attempts: floor.attempts,
+          expected: floor.amount * floor.odds.reduce((expected, chance, successes) => expected + chance * successes, 0),
+          min: floor.amount * Math.min(...possible),
+          max: floor.amount * Math.max(...possible),
+        };
+      });
+
+      return floors.length ? {
+        expected: floors.reduce((total, x) => total + x.expected, 0),
+        min: floors.reduce((total, x) => total + x.min, 0),
+        max: floors.reduce((total, x) => total + x.max, 0),
+        floors: floors,
+      } : null;
+    }
+
+    /**
+     * Attempt to find a soulstone at the end of a dungeon floor. Every success lowers the chance of the next one, so
+     * the chance of each amount of successes on the floor is kept rather than just the expected amount.
+     * @param {Koviko.Prediction} prediction Prediction of the dungeon
+     * @param {Koviko.Simulator~State} state State object
+     * @param {number} floor Index of the floor that was completed
+     * @memberof Koviko.Simulator
+     */
+    attempt(prediction, state, floor) {
+      /** @var {Koviko~ActionData} */
+      const a = prediction.action;
+
+      /** @var {Koviko.Prediction~Soulstones} */
+      const soulstones = prediction.loop.soulstones;
+
+      /** @var {number} */
+      const chance = this.game.dungeons[a.dungeonNum][floor].ssChance;
+
+      /** @var {Koviko.Simulator~Floor} */
+      const odds = state.soulstones[a.dungeonNum + ',' + floor] || (state.soulstones[a.dungeonNum + ',' + floor] = {
+        dungeon: a.dungeonNum,
+        floor: floor,
+        amount: soulstones.amount,
+        decay: soulstones.decay,
+        attempts: 0,
+        odds: [1],
+      });
+
+      // Either the attempt fails, or it succeeds with the chance left after the earlier successes
+      odds.attempts++;
+      odds.odds = odds.odds.concat(0).map((x, successes, previous) => x * (1 - chance * Math.pow(soulstones.decay, successes)) + (successes ? previous[successes - 1] * chance * Math.pow(soulstones.decay, successes - 1) : 0));
+
+      // When sampling, draw a single amount of successes from the odds
+      if (this.seed !== null) {
+        let successes = 0;
+
+        for (let roll = this.random(), sum = odds.odds[0]; roll >= sum && successes < odds.odds.length - 1; sum += odds.odds[++successes]);
+
+        odds.odds = odds.odds.map((x, i) => i === successes ? 1 : 0);
+      }
+    }
+
+    /**
+     * Draw the next random number from the seed, which gives the same numbers in the same order for the same seed.
+     * @return {number} Random number from 0 up to, but not including, 1
+     * @memberof Koviko.Simulator
+     */
+    random() {
+      // Mulberry32
+      let t = this.seed = (this.seed + 0x6D2B79F5) | 0;
+
+      t = Math.imul(t ^ t >>> 15, t | 1);
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Run an action list many times with the random parts of the game sampled, and find the spread of each resource
+     * after each action across the runs. The soulstones found in dungeons are included as `soulstones`.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {number} [runs=100] Amount of times to run the action list
+     * @param {number} [seed=1] Seed of the random numbers, so that the same seed gives the same spread
+     * @param {Array.<number>} [percentiles] Percentiles to find, defaulting to the 5th, 50th and 95th
+     * @return {Array.<Object.<string, Koviko.Simulator~Distribution>|null>} Spread of each resource after each action,
+     * or `null` where the action has no prediction
+     * @memberof Koviko.Simulator
+     */
+    sample(actions, runs = 100, seed = 1, percentiles = [5, 50, 95]) {
+      /**
+       * Simulator that samples, whose checkpoints are of no use from one run to the next
+       * @var {Koviko.Simulator}
+       */
+      const sampler = new Koviko.Simulator(this.game, { batch: this.batch, seed: seed });
+
+      /**
+       * Prediction of each action in each run
+       * @var {Array.<Array.<Koviko.Simulator~ActionResult|null>>}
+       */
+      const results = [];
+
+      for (let run = 0; run < runs; run++) {
+        sampler.checkpoints = [];
+        results.push(sampler.run(actions).actions);
+      }
+
+      return actions.map((listedAction, i) => {
+        if (!results.length || !results[0][i]) {
+          return null;
+        }
+
+        /**
+         * Value of each resource in each run
+         * @var {Object.<string, Array.<number>>}
+         */
+        const values = results.reduce((values, run) => {
+          const result = run[i];
+
+          Object.keys(result.resources).forEach(name => typeof result.resources[name] === 'number' && (values[name] = values[name] || []).push(result.resources[name]));
+          result.soulstones && (values.soulstones = values.soulstones || []).push(result.soulstones.expected);
+
+          return values;
+        }, {});
+
+        return Object.keys(values).reduce((spread, name) => (spread[name] = this.distribute(values[name], percentiles), spread), {});
+      });
+    }
+
+    /**
+     * Replay an action list for many loops in a row, carrying what the game keeps from one loop to the next into the
+     * loop after it.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {number} [loops=10] Amount of loops to replay the action list for
+     * @return {Array.<Koviko.Simulator~ProjectedLoop>} Outcome of each loop
+     * @memberof Koviko.Simulator
+     */
+    project(actions, loops = 10) {
+      /** @var {Array.<Koviko.Simulator~ProjectedLoop>} */
+      const projection = [];
+
+      /**
+       * Simulator of the current loop
+       * @var {Koviko.Simulator}
+       */
+      let simulator = new Koviko.Simulator(Object.assign({}, this.game, { start: null }), { batch: this.batch });
+
+      for (let loop = 1; loop <= loops; loop++) {
+        /** @var {Koviko.Simulator~Result} */
+        const result = simulator.run(actions);
+
+        /** @var {Koviko.Simulator~SoulstonesResult|null} */
+        const soulstones = simulator.soulstones(result.state);
+
+        projection.push({
+          loop: loop,
+          mana: result.total,
+          ticks: result.ticks,
+          isValid: result.actions.every(x => !x || x.isValid),
+          resources: Object.assign({}, result.state.resources),
+          skills: Object.keys(result.state.skills).reduce((skills, name) => (skills[name] = this.helpers.getSkillLevelFromExp(result.state.skills[name]), skills), {}),
+          floors: this.game.dungeons.map((floors, dungeon) => soulstones ? soulstones.floors.filter(x => x.dungeon === dungeon).length : 0),
+          soulstones: (loop > 1 ? projection[loop - 2].soulstones : 0) + (soulstones ? soulstones.expected : 0),
+        });
+
+        simulator = new Koviko.Simulator(simulator.carry(result.state), { batch: this.batch });
+      }
+
+      return projection;
+    }
+
+    /**
+     * Build the game state of the next loop from the state at the end of this one, keeping what the game keeps across
+     * loops: skill experience, the totals of loop actions, exploration, the dungeon floors completed along with their
+     * chance of a soulstone, and the Ritual buff.
+     * @param {Koviko.Simulator~State} state State at the end of the loop
+     * @return {Koviko~GameState} Game state at the start of the next loop
+     * @memberof Koviko.Simulator
+     */
+    carry(state) {
+      /** @var {Koviko~GameState} */
+      const g = this.clone(this.game);
+
+      g.skills = Object.assign({}, state.skills);
+      g.buffs.Ritual = (g.buffs.Ritual || 0) + (state.resources.ritual || 0);
+
+      for (let name in this.predictions) {
+        const prediction = this.predictions[name];
+        const town = prediction.action && g.towns[prediction.action.townNum];
+
+        if (!town) {
+          continue;
+        }
+
+        if (prediction.loop && name in state.progress) {
+          town['total' + prediction.action.varName] = state.progress[name].total;
+        }
+
+        if (prediction.limit) {
+          town['good' + prediction.limit.good] = prediction.good(state.explored);
+        }
+
+        // The game caps exploration at level 100
+        if (prediction.explore && state.explored[name]) {
+          town['exp' + prediction.action.varName] = Math.min((town['exp' + prediction.action.varName] || 0) + state.explored[name], 505000);
+        }
+      }
+
+      // Every soulstone found on a floor lowers its chance, so the chance carried over is the one expected from the odds
+      Object.keys(state.soulstones).forEach((key) => {
+        const odds = state.soulstones[key];
+        const floor = g.dungeons[odds.dungeon][odds.floor];
+
+        floor.completed += odds.attempts;
+        floor.ssChance *= odds.odds.reduce((factor, chance, successes) => factor + chance * Math.pow(odds.decay, successes), 0);
+      });
+
+      return g;
+    }
+
+    /**
+     * Find the spread of a value across many runs.
+     * @param {Array.<number>} values Value in each run
+     * @param {Array.<number>} percentiles Percentiles to find
+     * @return {Koviko.Simulator~Distribution} Spread of the value
+     * @memberof Koviko.Simulator
+     */
+    distribute(values, percentiles) {
+      /** @var {Array.<number>} */
+      const sorted = values.slice().sort((a, b) => a - b);
+
+      return {
+        mean: sorted.reduce((sum, x) => sum + x, 0) / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        percentiles: percentiles.reduce((result, p) => (result[p] = sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)], result), {}),
+      };
+    }
+
+    /**
+     * Search for the loop counts and order of an action list that best meet an objective without running out of mana.
+     * Starting from the template, the search keeps taking the best of the lists that are a step away, which add or
+     * remove loops of a single action or swap two neighbouring actions of the same town, until none of them are better.
+     * A list that runs out of mana is never taken over one that doesn't, and only stepped through on the way to one
+     * that doesn't by how little it runs out, so if no list that keeps mana above zero turns up, nothing is found.
+     * @param {Array.<Koviko.Simulator~TemplateAction>} template Action list to start from
+     * @param {Koviko.Simulator~Objective} objective What to optimize
+     * @param {number} [rounds=100] Most steps to take away from the template
+     * @return {Koviko.Simulator~Optimization} Best action list found
+     * @memberof Koviko.Simulator
+     */
+    optimize(template, objective, rounds = 100) {
+      /** @var {Koviko~GameState} */
+      const g = this.game;
+
+      /**
+       * Town that the simulation starts in
+       * @var {number}
+       */
+      const start = this.begin().resources.town;
+
+      /**
+       * Amount of action lists simulated
+       * @var {number}
+       */
+      let runs = 0;
+
+      // Simulate an action list and rate it by how many of its actions are out of their town, by its target, and by the
+      // time it takes, in that order
+      const measure = (list) => {
+        const result = this.run(list);
+        const value = objective.target === 'ticks' ? result.ticks : ['skills', 'stats', 'resources'].reduce((value, i) => value === null && objective.target in result.state[i] ? result.state[i][objective.target] : value, null) || 0;
+
+        let town = start;
+        let misplaced = 0;
+        let deficit = 0;
+
+        runs++;
+        result.actions.forEach((x, i) => {
+          if (x) {
+            misplaced += list[i].loops && g.actions[x.name].townNum !== town ? 1 : 0;
+            deficit += x.isValid ? 0 : Math.min(x.resources.mana, 0) - 1;
+            town = x.resources.town;
+          }
+        });
+
+        return { list: list, value: value, isValid: !deficit, score: deficit ? [deficit] : [-misplaced, objective.minimize ? -value : value, -result.ticks] };
+      };
+
+      // Compare the ratings of two action lists, where one that keeps mana above zero is always better than one that
+      // doesn't, and two that don't are only rated by how far their mana goes below zero
+      const isBetter = (a, b) => {
+        if (a.isValid !== b.isValid) {
+          return a.isValid;
+        }
+
+        for (let i = 0; i < a.score.length; i++) {
+          if (Math.abs(a.score[i] - b.score[i]) > 1e-9) {
+            return a.score[i] > b.score[i];
+          }
+        }
+
+        return false;
+      };
+
+      // Find every action list a step away, from the end of the list to the start so that each can resume from the
+      // checkpoints of the one before
+      const neighbours = (list) => {
+        const lists = [];
+
+        for (let i = list.length - 1; i >= 0; i--) {
+          [10, 1, -1, -10].forEach((step) => {
+            const loops = list[i].loops + step;
+
+            if (loops >= list[i].min && loops <= list[i].max) {
+              lists.push(list.map((x, j) => j === i ? Object.assign({}, x, { loops: loops }) : x));
+            }
+          });
+
+          if (list[i + 1] && list[i].name !== list[i + 1].name && g.actions[list[i].name] && g.actions[list[i + 1].name] && g.actions[list[i].name].townNum === g.actions[list[i + 1].name].townNum) {
+            lists.push(list.map((x, j) => j === i ? list[i + 1] : j === i + 1 ? list[i] : x));
+          }
+        }
+
+        return lists;
+      };
+
+      /** @var {Object} */
+      const initial = measure(template.map(x => ({
+        name: x.name,
+        loops: x.loops,
+        min: 'min' in x ? x.min : objective.minimize ? x.loops : 0,
+        max: 'max' in x ? x.max : Infinity,
+      })));
+
+      /** @var {Object} */
+      let best = initial;
+
+      for (let round = 0; round < rounds; round++) {
+        const next = neighbours(best.list).reduce((next, list) => {
+          const candidate = measure(list);
+
+          return isBetter(candidate, next) ? candidate : next;
+        }, best);
+
+        if (next === best) {
+          break;
+        }
+
+        best = next;
+      }
+
+      return {
+        actions: best.isValid ? best.list.map(x => ({ name: x.name, loops: x.loops })) : null,
+        target: objective.target,
+        value: best.isValid ? best.value : null,
+        initial: initial.value,
+        isValid: best.isValid,
+        runs: runs,
+      };
+    }
+
+    /**
+     * Deeply copy a state, or anything within a state.
+     * @param {*} value Value to copy
+     * @return {*} Copy of the value
+     * @memberof Koviko.Simulator
+     */
+    clone(value) {
+      if (Array.isArray(value)) {
+        return value.map(x => this.clone(x));
+      }
+
+      if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((copy, key) => (copy[key] = this.clone(value[key]), copy), {});
+      }
+
+      return value;
+    }
+
+    /**
+     * Check whether the simulator was created for the given game state, in which case its checkpoints still hold.
+     * @param {Koviko~GameState} game Game state
+     * @return {boolean} Whether the game state is the same as the simulator's
+     * @memberof Koviko.Simulator
+     */
+    matches(game) {
+      return this.key === this.fingerprint(game);
+    }
+
+    /**
+     * Serialize the parts of a game state that a simulation reads. Without the position of the running loop, a
+     * simulation starts from the start of a loop, so the progress of the running loop's loops and the good results it
+     * has used up are left out, since they change from one tick to the next while the checkpoints still hold.
+     * @param {Koviko~GameState} game Game state
+     * @return {string} Serialized game state
+     * @memberof Koviko.Simulator
+     */
+    fingerprint(game) {
+      if (game.start) {
+        return JSON.stringify(game);
+      }
+
+      /**
+       * Town attributes that are only read from the position of the running loop
+       * @var {Array.<string>}
+       */
+      const running = [].concat(...Object.keys(this.predictions).map((name) => {
+        const prediction = this.predictions[name];
+
+        return [].concat(
+          prediction.action && prediction.loop ? [prediction.action.varName, prediction.action.varName + 'LoopCounter'] : [],
+          prediction.limit ? ['goodTemp' + prediction.limit.good] : []
+        );
+      }));
+
+      return JSON.stringify(Object.assign({}, game, {
+        towns: game.towns.map(town => Object.keys(town).reduce((attrs, key) => (running.includes(key) || (attrs[key] = town[key]), attrs), {})),
+      }));
+    }
+
+    /**
+     * Convert comparisons of experience into comparisons of levels.
+     * @param {Object.<string, Koviko.Snapshot~Comparison>} comparisons Comparisons of experience
+     * @param {function} getLevel Converts an amount of experience into a level
+     * @return {Object.<string, Koviko.Snapshot~Comparison>} Comparisons of levels
+     * @memberof Koviko.Simulator
+     */
+    levels(comparisons, getLevel) {
+      const levels = {};
+
+      for (let i in comparisons) {
+        let level = getLevel(comparisons[i].value);
+        levels[i] = { value: level, delta: level - getLevel(comparisons[i].value - comparisons[i].delta) };
+      }
+
+      return levels;
+    }
+
+    /**
+     * Compare the prediction of one action list with that of another, the way that snapshots compare one action with the
+     * one before it.
+     * @param {Koviko.Simulator~Result} a Prediction of the first action list
+     * @param {Koviko.Simulator~Result} b Prediction of the second action list
+     * @return {Koviko.Simulator~Diff} Values of the second action list, and their differences from the first
+     * @memberof Koviko.Simulator
+     */
+    diff(a, b) {
+      // Compare two sets of values, counting a value that only one of them has as zero in the other
+      const compare = (x, y) => {
+        const keys = Object.keys(Object.assign({}, x, y));
+        const fill = (values) => keys.reduce((filled, key) => (filled[key] = Number(values[key]) || 0, filled), {});
+
+        return new Koviko.Snapshot(fill(x)).snap(fill(y));
+      };
+
+      /**
+       * Predictions of the first action list that have yet to be paired with one of the second, by name
+       * @var {Object.<string, Array.<Koviko.Simulator~ActionResult>>}
+       */
+      const unpaired = a.actions.reduce((unpaired, x) => (x && (unpaired[x.name] = unpaired[x.name] || []).push(x), unpaired), {});
+
+      // Pair each action of the second list with the same action of the first list, in the order that they appear
+      const rows = b.actions.filter(x => x).map(x => [unpaired[x.name] && unpaired[x.name].shift() || null, x]);
+
+      // Whatever is left of the first list was taken out of the second
+      Object.keys(unpaired).forEach(name => unpaired[name].forEach(x => rows.push([x, null])));
+
+      return {
+        mana: compare({ mana: a.total }, { mana: b.total }).mana,
+        ticks: compare({ ticks: a.ticks }, { ticks: b.ticks }).ticks,
+        resources: compare(a.state.resources, b.state.resources),
+        stats: this.levels(compare(a.state.stats, b.state.stats), this.helpers.getLevelFromExp),
+        skills: this.levels(compare(a.state.skills, b.state.skills), this.helpers.getSkillLevelFromExp),
+        actions: rows.map(([x, y]) => Object.assign({ name: (x || y).name }, compare({
+          loops: x ? x.loops : 0,
+          mana: x ? x.mana : 0,
+          ticks: x ? x.ticks : 0,
+        }, {
+          loops: y ? y.loops : 0,
+          mana: y ? y.mana : 0,
+          ticks: y ? y.ticks : 0,
+        }))),
+      };
+    }
+
+    /**
+     * Perform one tick of a prediction.
+     * @param {Koviko.Prediction} prediction Prediction object
+     * @param {Koviko.Simulator~State} state State object
+     * @return {boolean} Whether another tick can occur
+     * @memberof Koviko.Simulator
+     */
+    tick(prediction, state) {
+      // Apply the accumulated stat experience
+      prediction.exp(prediction.action, state.stats);
+
+      // Handle the loop if it exists
+      if (prediction.loop) {
+        /** @var {Koviko.Simulator~Progression} */
+        const progression = state.progress[prediction.name];
+
+        /** @var {function} */
+        const loopCost = prediction.loop.cost(progression, prediction.action);
+
+        /** @var {function} */
+        const tickProgress = prediction.loop.tick(progression, prediction.action, state.stats, state.skills, state.resources);
+
+        /** @var {number} */
+        const totalSegments = prediction.action.segments;
+
+        /** @var {number} */
+        const maxSegments = prediction.loop.max ? prediction.loop.max(prediction.action) * totalSegments : Infinity;
+
+        /**
+         * Current segment within the loop
+         * @var {number}
+         */
+        let segment = 0;
+
+        /**
+         * Progress through the current loop
+         * @var {number}
+         */
+        let progress = progression.progress;
+
+        // Calculate the progress and current segment before the tick
+        for (; progress >= loopCost(segment); progress -= loopCost(segment++));
+
+        /**
+         * Progress of the tick
+         * @var {number}
+         */
+        let additionalProgress = tickProgress(segment) * (prediction.action.manaCost / prediction.ticks());
+
+        // Accumulate the progress from the tick
+        progress += additionalProgress;
+        progression.progress += additionalProgress;
+
+        // Calculate the progress and current segment after the tick
+        for (; progress >= loopCost(segment) && segment < maxSegments; progress -= loopCost(segment++)) {
+          // Handle the completion of a loop
+          if (segment >= totalSegments - 1) {
+            /**
+             * Index of the floor that was completed, for loops with floors
+             * @var {number}
+             */
+            const floor = Math.floor(progression.completed / totalSegments + .0000001);
+
+            progression.progress = 0;
+            progression.completed += totalSegments;
+            progression.total++;
+            segment -= totalSegments;
+
+            // Apply the effect from the completion of a loop
+            if (prediction.loop.effect.loop) {
+              prediction.loop.effect.loop(state.resources, state.skills);
+            }
+
+            // Try for a soulstone at the end of a dungeon floor
+            if (prediction.loop.soulstones) {
+              this.attempt(prediction, state, floor);
+            }
+          }
+
+          // Apply the effect from the completion of a segment
+          if (prediction.loop.effect.segment) {
+            prediction.loop.effect.segment(state.resources, state.skills);
+          }
+        }
+
+        return additionalProgress && segment < maxSegments;
+      }
+
+      return true;
+    }
+
+    /**
+     * Perform as many ticks of a loop as possible at once, stopping short of any tick that could complete a segment or
+     * level up the stat of the current segment, since those are the only things that make one tick differ from the next.
+     * @param {Koviko.Prediction} prediction Prediction object
+     * @param {Koviko.Simulator~State} state State object
+     * @param {number} limit Maximum amount of ticks to perform
+     * @return {number} Amount of ticks performed
+     * @memberof Koviko.Simulator
+     */
+    skip(prediction, state, limit) {
+      /** @var {Koviko~ActionData} */
+      const a = prediction.action;
+
+      /** @var {Koviko.Simulator~Progression} */
+      const progression = state.progress[prediction.name];
+
+      /** @var {function} */
+      const loopCost = prediction.loop.cost(progression, a);
+
+      /** @var {number} */
+      const maxSegments = prediction.loop.max ? prediction.loop.max(a) * a.segments : Infinity;
+
+      let segment = 0;
+      let progress = progression.progress;
+
+      // Calculate the progress and current segment, exactly like a tick does
+      for (; progress >= loopCost(segment); progress -= loopCost(segment++));
+
+      if (segment >= maxSegments) {
+        return 0;
+      }
+
+      /**
+       * Progress of each tick, which stays the same until the segment's stat levels up
+       * @var {number}
+       */
+      const tickProgress = prediction.loop.tick(progression, a, state.stats, state.skills, state.resources)(segment) * (a.manaCost / prediction.ticks());
+
+      /**
+       * Stat of the current segment
+       * @var {string}
+       */
+      const stat = a.loopStats[(progression.completed + segment) % a.loopStats.length];
+
+      /**
+       * Experience gained by the stat of the current segment in each tick
+       * @var {number}
+       */
+      const exp = stat in a.stats && stat in state.stats ? a.stats[stat] * a.expMult * (a.manaCost / prediction.ticks()) * this.game.bonusXP[stat] : 0;
+
+      /**
+       * Experience at which the stat of the current segment levels up
+       * @var {number}
+       */
+      const level = this.helpers.getLevelFromExp(state.stats[stat]);
+      const nextLevel = 50 * (level + 1) * (level + 2);
+
+      // Keep a tick of margin on both limits, so that rounding can't carry the last skipped tick over either of them
+      const ticks = Math.min(
+        limit,
+        Math.floor((loopCost(segment) - progress) / tickProgress) - 1,
+        exp ? Math.floor((nextLevel - state.stats[stat]) / exp) - 1 : Infinity
+      );
+
+      if (!(ticks >= 1) || !tickProgress) {
+        return 0;
+      }
+
+      state.resources.mana -= ticks;
+      prediction.exp(a, state.stats, ticks);
+      progression.progress += tickProgress * ticks;
+
+      return ticks;
+    }
+
+    /**
+     * Perform all ticks of a prediction
+     * @param {Koviko.Prediction} prediction Prediction object
+     * @param {Koviko.Simulator~State} state State object
+     * @memberof Koviko.Simulator
+     */
+    predict(prediction, state) {
+      // Update the amount of ticks necessary to complete the action, but only once at the start of the action
+      prediction.updateTicks(prediction.action, state.stats);
+
+      // Every tick of an action without a loop is identical, so all of them can be performed at once
+      if (this.batch && !prediction.loop) {
+        state.resources.mana -= prediction.ticks();
+        prediction.exp(prediction.action, state.stats, prediction.ticks());
+        return;
+      }
+
+      // Perform all ticks in succession, skipping ahead between the ticks that matter when possible
+      for (let ticks = 0; ticks < prediction.ticks(); ticks++) {
+        ticks += this.batch ? this.skip(prediction, state, prediction.ticks() - ticks - 1) : 0;
+        state.resources.mana--;
+        if (!this.tick(prediction, state)) break;
+      }
+    }
+
+    /**
+     * Compare a prediction of an action list made by performing ticks in batches with one made by performing every
+     * tick on its own, which is the way the game does it. Multiplying the experience of a tick rounds differently than
+     * adding it up, so experience that lands exactly on a level can level up a tick apart, and every action after it can
+     * then take a few ticks more or less.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {number} [tolerance=1e-2] Largest relative difference allowed between the two predictions
+     * @return {Array.<string>} Description of each value that differs by more than the tolerance
+     * @memberof Koviko.Simulator
+     */
+    verify(actions, tolerance = 1e-2) {
+      const batched = new Koviko.Simulator(this.game).run(actions);
+      const exact = new Koviko.Simulator(this.game, { batch: false }).run(actions);
+
+      return [].concat(
+        this.compare(batched.actions, exact.actions, tolerance, 'actions'),
+        this.compare(batched.total, exact.total, tolerance, 'total'),
+        this.compare(batched.ticks, exact.ticks, tolerance, 'ticks'),
+      );
+    }
+
+    /**
+     * Walk through part of a prediction made in batches side by side with the same part of one made tick by tick,
+     * noting every number that differs too much.
+     * @param {*} a Part of the prediction made in batches
+     * @param {*} b Part of the prediction made tick by tick
+     * @param {number} tolerance Largest relative difference allowed between the two predictions
+     * @param {string} path Where the part is within the prediction
+     * @return {Array.<string>} Description of each value that differs by more than the tolerance
+     * @memberof Koviko.Simulator
+     */
+    compare(a, b, tolerance, path) {
+      if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) > tolerance * Math.max(1, Math.abs(a), Math.abs(b)) ? [`${path}: ${a} batched, ${b} per tick`] : [];
+      }
+
+      // Levels are left to the experience they come from, since a level reached a tick apart differs by a whole level
+      if (a && b && typeof a === 'object') {
+        return Object.keys(b).filter(i => i !== 'levels').reduce((differences, i) => differences.concat(this.compare(a[i], b[i], tolerance, path + '.' + i)), []);
+      }
+
+      return a !== b && !(a !== a && b !== b) ? [`${path}: ${a} batched, ${b} per tick`] : [];
+    }
+
+    /**
+     * Check every prediction of the ruleset against the game state, so that a broken rule shows up as a failure
+     * instead of as a wrong number in the action list. Each action is predicted from the first set of test resources
+     * that it can start with, once in batches and once tick by tick.
+     * @param {number} [loops=10] Amount of loops to predict of each action
+     * @return {Array.<string>} Description of each failure
+     * @memberof Koviko.Simulator
+     */
+    test(loops = 10) {
+      /** @var {Koviko~GameState} */
+      const g = this.game;
+
+      /**
+       * Resources to start each action with, between them meeting the start conditions of every action
+       * @var {Array.<Object>}
+       */
+      const profiles = [
+        { rep: 20, gold: 1e6, herbs: 1e3, hide: 1e3, potions: 1e3, supplies: 1, glasses: true, pickaxe: true },
+        { rep: -20, gold: 1e6, herbs: 1e3, hide: 1e3, potions: 1e3, supplies: 1, glasses: true, pickaxe: true },
+      ];
+
+      /** @var {Array.<string>} */
+      const failures = [];
+
+      // Ticks can't be read before they are calculated from the stats at the start of a loop
+      try {
+        new Koviko.Prediction('Wander', {}, g, this.helpers).ticks();
+        failures.push('Prediction: ticks were read before they were calculated');
+      } catch (e) {
+        if (!/before they were calculated/.test(e.message)) {
+          failures.push(`Prediction: reading ticks too early threw '${e.message}'`);
+        }
+      }
+
+      // Start conditions default to true, but an explicit false is kept
+      if (new Koviko.Prediction('Wander', {}, g, this.helpers).canStart({}) !== true) {
+        failures.push('Prediction: an action without start conditions could not start');
+      }
+      if (new Koviko.Prediction('Wander', { canStart: false }, g, this.helpers).canStart({}) !== false) {
+        failures.push('Prediction: an action that can never start could start');
+      }
+
+      // Sampling the random parts of the game gives the same outcome for the same seed
+      const dungeons = Object.keys(this.predictions).filter(x => this.predictions[x].action && this.predictions[x].loop && this.predictions[x].loop.soulstones).map(x => ({ name: x, loops: loops }));
+
+      if (JSON.stringify(this.sample(dungeons, 10)) !== JSON.stringify(this.sample(dungeons, 10))) {
+        failures.push('Simulator: sampling with the same seed gave different outcomes');
+      }
+
+      for (let name in this.predictions) {
+        const fail = (message) => failures.push(`${name}: ${message}`);
+
+        /** @var {Koviko.Prediction} */
+        const prediction = this.predictions[name];
+
+        if (!prediction.action) {
+          fail('the game state has no such action');
+          continue;
+        }
+
+        /**
+         * Each set of test resources, in the action's town
+         * @var {Array.<Koviko.Simulator~Resources>}
+         */
+        const starts = profiles.map(x => Object.assign({ mana: 1e9, town: prediction.action.townNum }, x));
+
+        /**
+         * Answer of the start conditions for each set of test resources
+         * @var {Array.<*>}
+         */
+        const answers = starts.map(x => prediction.canStart(x));
+
+        if (answers.some(x => typeof x !== 'boolean')) {
+          fail('start conditions did not answer with true or false');
+        }
+
+        if (starts.some((x, i) => answers[i] !== !prediction.reasons(x).length)) {
+          fail('the reasons why it could not start disagree with its start conditions');
+        }
+
+        if (prediction.warn && starts.some(x => ![null, undefined].includes(prediction.warn(x)) && typeof prediction.warn(x) !== 'string')) {
+          fail('its warning did not answer with a message or nothing');
+        }
+
+        if (answers.indexOf(true) < 0) {
+          fail('could not start with any of the test resources');
+          continue;
+        }
+
+        // Predict the action in batches and tick by tick, starting from the same state
+        const [batched, exact] = [true, false].map((batch) => {
+          const simulator = new Koviko.Simulator(g, { batch: batch });
+
+          /** @var {Koviko.Simulator~State} */
+          const state = {
+            resources: Object.assign({}, starts[answers.indexOf(true)]),
+            stats: g.statList.reduce((stats, name) => (stats[name] = 0, stats), {}),
+            skills: Object.assign({}, g.skills),
+            progress: {},
+            limits: {},
+            explored: {},
+            soulstones: {},
+          };
+
+          prediction.affected.forEach(x => state.resources[x] || (state.resources[x] = 0));
+
+          try {
+            return {
+              result: simulator.act({ name: name, loops: loops }, state, {
+                stats: new Koviko.Snapshot(state.stats),
+                skills: new Koviko.Snapshot(state.skills),
+              }),
+              state: state,
+            };
+          } catch (e) {
+            fail(`the prediction threw '${e.message}'`);
+            return null;
+          }
+        });
+
+        if (!batched || !exact) {
+          continue;
+        }
+
+        // Every loop costs some mana and time
+        if (!(exact.result.mana > 0 && isFinite(exact.result.mana))) {
+          fail(`${exact.result.mana} mana was spent`);
+        }
+        if (!(exact.result.ticks > 0 && isFinite(exact.result.ticks))) {
+          fail(`${exact.result.ticks} ticks were spent`);
+        }
+
+        // Nothing that the action affects may become something other than a number
+        ['resources', 'stats', 'skills'].forEach(i => Object.keys(exact.state[i]).forEach(x => {
+          if (typeof exact.state[i][x] === 'number' && !isFinite(exact.state[i][x])) {
+            fail(`${i}.${x} became ${exact.state[i][x]}`);
+          }
+        }));
+
+        this.compare(batched.result, exact.result, 1e-2, name).forEach(x => failures.push(x));
+      }
+
+      return failures;
+    }
+  },
+
+  /** A predictor which displays the predictions of a Simulator in the action list of the game. */
+  Predictor: class {
+    /**
+     * Create the predictor
+     * @param {Koviko~View} view IdleLoops view object
+     * @param {Object} actions IdleLoops actions object
+     * @param {Array.<Koviko~ListedAction>} actions.next Action List
+     * @param {HTMLElement} container Action list container
+     */
+    constructor(view, actions, container) {
+      /**
+       * Version of the game, or `null` if it couldn't be detected
+       * @member {string|null}
+       */
+      this.version = this.detectVersion();
+
+      // Warn when the rules in use weren't written for the running game
+      if (!(this.version in Koviko.rulesets)) {
+        /** @var {Koviko~Ruleset} */
+        const ruleset = Koviko.Simulator.prototype.findRuleset(this.version);
+
+        console.warn(`There are no prediction rules for ${this.version === null ? 'this version of the game' : `version ${this.version} of the game`}, so the rules for version ${Object.keys(Koviko.rulesets).find(x => Koviko.rulesets[x] === ruleset)} are used, and some predictions may be wrong.`);
+      }
+
+      /**
+       * Simulator used by the most recent prediction made on the page
+       * @member {Koviko.Simulator|null}
+       */
+      this.simulator = null;
+
+      /**
+       * Amount of times to run the action list with the random parts of the game sampled, or `0` to only predict them
+       * by their odds
+       * @member {number}
+       */
+      this.runs = 0;
+
+      /**
+       * Whether to predict the rest of the running loop from where it is, rather than the action list from the start of
+       * a loop
+       * @member {boolean}
+       */
+      this.live = false;
+
+      /**
+       * Action list saved to compare the action list with, or `null` if there is nothing to compare with
+       * @member {Array.<Koviko~ListedAction>|null}
+       */
+      this.comparison = null;
+
+      /**
+       * Most recent prediction displayed in the action list, or `null` before the first one
+       * @member {Koviko.Simulator~Result|null}
+       */
+      this.result = null;
+
+      /**
+       * Parent element of the action list
+       * @member {HTMLElement}
+       */
+      this.container = container;
+
+      /**
+       * Display settings, kept between sessions
+       * @member {Koviko~Settings}
+       */
+      this.settings = this.defaults();
+
+      // Apply the saved settings on top of the defaults, so that settings added later get their default
+      Object.assign(this.settings, this.recall('settings', {}));
+      this.settings.colors = Object.assign(this.defaults().colors, this.settings.colors);
+
+      // Initialization steps broken into pieces, for my sake
+      this.initStyle();
+      this.initElements()
+      this.validate();
+      this.initWorker();
+
+      // Prepare `updateNextActions` to be hooked
+      if (!view._updateNextActions) {
+        view._updateNextActions = view.updateNextActions;
+      }
+
+      // Hook `updateNextActions` with the predictor's scheduling function
+      view.updateNextActions = () => {
+        view._updateNextActions();
+        this.schedule(actions.next, container);
+      };
+
+      view.updateNextActions();
+    }
+
+    /**
+     * Get the default display settings.
+     * @return {Koviko~Settings} Default settings
+     * @memberof Koviko.Predictor
+     */
+    defaults() {
+      return {
+        hidden: [],
+        hideZero: true,
+        colors: {
+          mana: '#8293ff',
+          gold: '#d09249',
+          rep: '#b06f37',
+          soul: '#9d67cd',
+          herbs: '#4caf50',
+          hide: '#663300',
+          potions: '#00b2ee',
+          lpotions: '#436ef7',
+          blood: '#8b0000',
+          crafts: '#777777',
+          adventures: '#191919',
+          ritual: '#ff1493',
+          artifacts: '#ffd700',
+          mind: '#006400',
+        },
+        exact: false,
+      };
+    }
+
+    /**
+     * Change display settings, keep them between sessions, and show the predictions with them.
+     * @param {Object} changes Settings to change, from {@link Koviko~Settings}
+     * @memberof Koviko.Predictor
+     */
+    configure(changes) {
+      Object.assign(this.settings, changes);
+      this.store('settings', this.settings);
+      this.initStyle();
+      Koviko.globals.view.updateNextActions();
+    }
+
+    /**
+     * Show a panel of the display settings.
+     * @return {HTMLElement} Element of the panel
+     * @memberof Koviko.Predictor
+     */
+    preferences() {
+      /** @var {Koviko~Settings} */
+      const settings = this.settings;
+
+      // Skills are shown by their lowercase names
+      const groups = {
+        resources: Object.keys(settings.colors).concat(this.result ? this.result.affected.filter(x => !(x in settings.colors)) : []),
+        stats: Koviko.globals.statList,
+        skills: Object.keys(Koviko.globals.skills).map(x => x.toLowerCase()),
+      };
+
+      const checkbox = (name, label, isChecked) => `<label><input type=checkbox name="${name}"${isChecked ? ' checked' : ''}> ${label}</label> `;
+
+      /** @var {HTMLElement} */
+      const panel = this.panel('Settings', '<div>'
+        + checkbox('hideZero', 'hide resources that are zero', settings.hideZero)
+        + checkbox('exact', 'show numbers in full', settings.exact)
+        + '</div>'
+        + Object.keys(groups).map(group => `<h4>${group}</h4><div>` + groups[group].map(name => checkbox(`show:${name}`, name in settings.colors ? `${name} <input type=color name="color:${name}" value="${settings.colors[name]}">` : name, !settings.hidden.includes(name))).join('') + '</div>').join('')
+        + '<div><button class=reset>reset to defaults</button></div>');
+
+      [...panel.querySelectorAll('input')].forEach((input) => {
+        const [type, name] = input.name.split(':');
+
+        input.onchange = () => {
+          if (type === 'show') {
+            this.configure({ hidden: input.checked ? settings.hidden.filter(x => x !== name) : settings.hidden.concat(name) });
+          } else if (type === 'color') {
+            this.configure({ colors: Object.assign({}, settings.colors, { [name]: input.value }) });
+          } else {
+            this.configure({ [type]: input.checked });
+          }
+        };
+      });
+
+      panel.querySelector('.reset').onclick = () => (this.configure(this.defaults()), this.preferences());
+
+      return panel;
+    }
+
+    /**
+     * Format a number as the settings say, either abbreviated or in full.
+     * @param {number} value Number to format
+     * @param {number} [precision] Precision of the abbreviated number, as the game's `intToString` takes it
+     * @return {string} Formatted number
+     * @memberof Koviko.Predictor
+     */
+    formatNumber(value, precision) {
+      return this.settings.exact ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : intToString(value, precision);
+    }
+
+    /**
+     * Build the style element responsible for the formatting of the predictor's values.
+     * @memberof Koviko.Predictor
+     */
+    initStyle() {
+      // Get the style element if it already exists for some reason
+      let style = document.getElementById('koviko');
+
+      // Build the CSS
+      let css = `
+      .nextActionContainer{width:auto!important;padding:0 4px}
+      #expandableList{overflow:hidden}
+      #nextActionsList{height:100%!important}
+      #nextActionsList:hover{margin-left:-100%;padding-left:100%}
+      #actionList>div:nth-child(2){left: 53px !important}
+      span.koviko{font-weight:bold;color:#8293ff}
+      span.koviko.warning{color:#c00;padding-left:10px;cursor:help}
+      span.koviko.mode{padding-left:10px;cursor:pointer;font-weight:normal}
+      span.koviko.settings{padding-left:10px;cursor:pointer;font-weight:normal;text-decoration:underline}
+      span.koviko.routes{padding-left:10px;cursor:pointer;font-weight:normal;text-decoration:underline}
+      span.koviko.import{padding-left:10px;cursor:pointer;font-weight:normal;text-decoration:underline}
+      span.koviko.export{padding-left:10px;font-weight:normal}
+      span.koviko.export span{cursor:pointer;text-decoration:underline}
+      span.koviko.apply{padding-left:10px;cursor:pointer;text-decoration:underline}
+      span.koviko.compare{padding-left:10px;cursor:pointer;font-weight:normal;position:relative}
+      span.koviko.compare div.koviko{top:100%;right:0;font-weight:normal;color:initial}
+      span.koviko.clear{padding-left:10px;cursor:pointer;font-weight:normal;text-decoration:underline}
+      .koviko .better{color:#4caf50}
+      .koviko .worse{color:#c00}
+      #koviko-panel{position:fixed;top:40px;left:50%;transform:translateX(-50%);z-index:100;max-height:80%;overflow:auto;padding:8px 12px;background:#fff;border:1px solid #ccc;box-shadow:0 2px 8px rgba(0,0,0,.3)}
+      #koviko-panel h3{margin:0 20px 8px 0}
+      #koviko-panel .close{position:absolute;top:4px;right:8px;cursor:pointer;font-weight:bold}
+      #koviko-panel td{padding:0 6px;white-space:nowrap}
+      #koviko-panel .better{color:#4caf50}
+      #koviko-panel .worse{color:#c00}
+      #koviko-panel table.routes td{text-align:right}
+      #koviko-panel table.routes td:first-child{text-align:left}
+      #koviko-panel table.routes button{font-size:90%}
+      #koviko-panel h4{margin:8px 0 2px}
+      #koviko-panel label{white-space:nowrap;margin-right:6px}
+      #koviko-panel input[type=color]{width:24px;height:16px;padding:0;border:0;vertical-align:middle}
+      #koviko-panel .errors{color:#c00;padding-left:16px}
+      #koviko-panel .rows>div{position:relative;padding:1px 4px;border-bottom:1px solid #eee}
+      #koviko-panel .rows ul.koviko{display:inline-block}
+      div.koviko.timeline{font-size:90%}
+      div.koviko.timeline .toggle{cursor:pointer;font-weight:bold;color:#8293ff}
+      div.koviko.timeline .toggle:before{content:'▸ '}
+      div.koviko.timeline.open .toggle:before{content:'▾ '}
+      div.koviko.timeline svg{display:block;width:100%;height:100px;border:1px solid #ccc}
+      div.koviko.timeline polyline{fill:none;stroke:currentColor;stroke-width:1.5;vector-effect:non-scaling-stroke}
+      div.koviko.timeline line{stroke:#999;stroke-dasharray:2,2;vector-effect:non-scaling-stroke}
+      div.koviko.timeline line.zero{stroke:#c00}
+      div.koviko.timeline rect.negative{fill:#c00;opacity:.15}
+      div.koviko.timeline .legend span{font-weight:bold;white-space:nowrap}
+      div.koviko.timeline .legend .time{float:right;color:initial}
+      div.koviko{top:-5px;left:auto;right:100%}
+      ul.koviko{list-style:none;margin:0;padding:0;pointer-events:none}
+      ul.koviko li{display:inline-block;margin: 0 2px;font-weight:bold;font-size:90%}
+      ul.koviko.invalid li{color:#c00!important}
+      ul.koviko.unreliable{opacity:.5}
+      ul.koviko.unpredicted li{color:#c00;font-style:italic}
+      ul.koviko .exceeded{color:#c00;font-style:italic}
+      ul.koviko .failed{color:#c00;font-style:italic}
+      ul.koviko .warned{color:#e68a00}
+      ul.koviko .short{color:#c00;text-decoration:underline}
+      div.koviko.mistakes{font-size:90%;color:#e68a00}
+      div.koviko.mistakes div{cursor:pointer}
+      div.koviko.mistakes div:before{content:'⚠ '}
+      .koviko-flash{outline:2px solid #e68a00}
+      ${Object.keys(this.settings.colors).map(name => `ul.koviko .${name}, div.koviko.timeline .${name}{color:${this.settings.colors[name]}}`).join('\n')}
+      `;
+
+      // Create the <style> element if it doesn't already exist
+      if (!style || style.tagName.toLowerCase() !== 'style') {
+        style = document.createElement('style');
+        style.type = 'text/css';
+        style.id = 'koviko';
+        document.head.appendChild(style);
+      }
+
+      // Clean out the <style> element and append the correct CSS
+      for (; style.lastChild; style.removeChild(style.lastChild));
+      style.appendChild(document.createTextNode(css));
+    }
+
+    /**
+     * Find one of the predictor's elements, or create it if it doesn't exist yet.
+     * @param {string} tag Tag name of the element
+     * @param {string} className Classes of the element, which find it among the children of its parent
+     * @param {HTMLElement} parent Parent element of the element
+     * @param {string} [id] Unique identifier of the element, which finds it instead of its classes
+     * @param {HTMLElement} [before] Child of the parent to put the element before, rather than at the end
+     * @return {HTMLElement} Element that was found or created
+     * @memberof Koviko.Predictor
+     */
+    element(tag, className, parent, id = null, before = null) {
+      /** @var {HTMLElement|undefined} */
+      let el = id ? document.getElementById(id) : [...parent.children].find(x => x.className === className);
+
+      // If the element doesn't already exist, create it
+      if (!el) {
+        el = document.createElement(tag);
+        el.className = className;
+
+        if (id) {
+          el.id = id;
+        }
+
+        parent.insertBefore(el, before);
+      }
+
+      return el;
+    }
+
+    /**
+     * Build the element that shows the total mana required by the action list.
+     * @memberof Koviko.Predictor
+     */
+    initElements() {
+      /** @var {HTMLElement} */
+      const parent = document.getElementById('actionList').firstElementChild;
+
+      /**
+       * Element that displays the total amount of mana used in the action list
+       * @member {HTMLElement}
+       */
+      this.totalDisplay = this.element('span', 'koviko', parent);
+      this.totalDisplay.style = 'padding-left:50px;';
+
+      /**
+       * Element that warns about actions that the predictor doesn't know how to predict
+       * @member {HTMLElement}
+       */
+      this.warningDisplay = this.element('span', 'koviko warning', parent);
+
+      /**
+       * Element that switches between predicting from the start of a loop and predicting from where the loop is
+       * @member {HTMLElement}
+       */
+      this.modeDisplay = this.element('span', 'koviko mode', parent);
+      this.modeDisplay.title = 'Click to switch between predicting from the start of a loop and from where the running loop is';
+      this.modeDisplay.textContent = 'from restart';
+      this.modeDisplay.onclick = () => {
+        this.live = !this.live;
+        this.modeDisplay.textContent = this.live ? 'from now' : 'from restart';
+        Koviko.globals.view.updateNextActions();
+      };
+
+      /**
+       * Element that offers to apply the best action list found by the last optimization
+       * @member {HTMLElement}
+       */
+      this.applyDisplay = this.element('span', 'koviko apply', parent);
+      this.applyDisplay.style.display = 'none';
+
+      /**
+       * Element that saves the action list for comparison, and compares the action list with the saved one
+       * @member {HTMLElement}
+       */
+      this.compareDisplay = this.element('span', 'koviko compare showthat', parent);
+
+      /**
+       * Element that drops the saved action list and stops comparing with it, shown only while there is one
+       * @member {HTMLElement}
+       */
+      this.clearDisplay = this.element('span', 'koviko clear', parent, null, this.compareDisplay.nextSibling);
+
+      /**
+       * Element that downloads the prediction of the action list
+       * @member {HTMLElement}
+       */
+      this.exportDisplay = this.element('span', 'koviko export', parent);
+
+      /**
+       * Element that opens the panel to import an action list
+       * @member {HTMLElement}
+       */
+      this.importDisplay = this.element('span', 'koviko import', parent);
+
+      /**
+       * Element that opens the panel of saved action lists
+       * @member {HTMLElement}
+       */
+      this.routesDisplay = this.element('span', 'koviko routes', parent);
+
+      /**
+       * Element that opens the panel of display settings
+       * @member {HTMLElement}
+       */
+      this.settingsDisplay = this.element('span', 'koviko settings', parent);
+
+      this.settingsDisplay.textContent = 'settings';
+      this.settingsDisplay.title = 'Click to choose what the predictor shows and how';
+      this.settingsDisplay.onclick = () => this.preferences();
+
+      this.routesDisplay.textContent = 'routes';
+      this.routesDisplay.title = 'Click to save the action list under a name, or to load or compare saved ones';
+      this.routesDisplay.onclick = () => this.manager();
+
+      this.importDisplay.textContent = 'import';
+      this.importDisplay.title = 'Click to paste an action list and predict it without loading it';
+      this.importDisplay.onclick = () => this.importer();
+
+      this.exportDisplay.innerHTML = 'export <span>csv</span> <span>json</span>';
+      this.exportDisplay.title = 'Click to download the prediction of the action list';
+      [...this.exportDisplay.children].forEach(el => el.onclick = () => this.download(el.textContent).catch(e => console.warn('The prediction could not be exported.', e)));
+
+      this.compareDisplay.innerHTML = 'save as A';
+      this.compareDisplay.title = 'Click to save the action list as A, and compare the action list with it from then on';
+      this.compareDisplay.onclick = () => {
+        this.comparison = Koviko.globals.actions.next.map(x => ({ name: x.name, loops: x.loops }));
+        this.clearDisplay.style.display = '';
+        Koviko.globals.view.updateNextActions();
+      };
+
+      this.clearDisplay.textContent = 'clear A';
+      this.clearDisplay.title = 'Click to drop A and stop comparing the action list with it';
+      this.clearDisplay.style.display = 'none';
+      this.clearDisplay.onclick = () => {
+        this.comparison = null;
+        this.clearDisplay.style.display = 'none';
+        this.compareDisplay.innerHTML = 'save as A';
+        Koviko.globals.view.updateNextActions();
+      };
+
+      /**
+       * Element under the action list that charts the resources over the course of the action list, when opened
+       * @member {HTMLElement}
+       */
+      this.timelineDisplay = this.element('div', 'koviko timeline', document.getElementById('actionList'), 'koviko-timeline');
+
+      /**
+       * Element under the action list that lists what goes wrong with the actions of the action list, above the timeline
+       * @member {HTMLElement}
+       */
+      this.mistakesDisplay = this.element('div', 'koviko mistakes', this.timelineDisplay.parentNode, 'koviko-mistakes', this.timelineDisplay);
+
+      this.timelineDisplay.innerHTML = '<div class=toggle>timeline</div><div class=chart></div>';
+      this.timelineDisplay.firstElementChild.title = 'Click to show or hide a chart of the resources over the course of the action list';
+      this.timelineDisplay.firstElementChild.onclick = () => {
+        this.timelineDisplay.classList.toggle('open');
+        this.timelineDisplay.lastElementChild.innerHTML = this.result && this.timelineDisplay.classList.contains('open') ? this.timelineTemplate(this.result) : '';
+      };
+    }
+
+    /**
+     * Compare the actions that the ruleset can predict with the actions of the game, warning about any mismatch.
+     * @memberof Koviko.Predictor
+     */
+    validate() {
+      /** @var {Array.<string>} */
+      const rules = Object.keys(new Koviko.Simulator(this.capture([])).predictions);
+
+      /**
+       * Names of every action in the game, where the game lists them
+       * @var {Array.<string>}
+       */
+      const catalogue = [].concat(...Koviko.globals.towns.map(town => (town.totalActionList || []).map(x => x.name)));
+
+      /**
+       * Names of the actions with rules that the game doesn't have
+       * @member {Array.<string>}
+       */
+      this.unknown = rules.filter(name => {
+        try {
+          return !Koviko.globals.translateClassNames(name);
+        } catch (e) {
+          return true;
+        }
+      });
+
+      /**
+       * Names of the actions of the game that have no rule
+       * @member {Array.<string>}
+       */
+      this.missing = catalogue.filter(name => !rules.includes(name));
+
+      /**
+       * Names of every action that can be predicted
+       * @member {Array.<string>}
+       */
+      this.names = rules.filter(name => !this.unknown.includes(name));
+
+      // Warn about the mismatches in the console
+      this.unknown.length && console.warn(`The predictor has rules for actions that the game doesn't have: ${this.unknown.join(', ')}`);
+      this.missing.length && console.warn(`The predictor has no rules for these actions, so they won't be predicted: ${this.missing.join(', ')}`);
+
+      // Warn about the mismatches next to the total
+      this.warningDisplay.textContent = this.missing.length || this.unknown.length ? '\u26A0' : '';
+      this.warningDisplay.title = [
+        this.missing.length ? 'Not predicted: ' + this.missing.join(', ') : '',
+        this.unknown.length ? 'Unknown to the game: ' + this.unknown.join(', ') : '',
+      ].filter(x => x).join('\n');
+    }
+
+    /**
+     * Start the web worker that runs simulations away from the page, if the browser allows it.
+     * @memberof Koviko.Predictor
+     */
+    initWorker() {
+      /**
+       * Milliseconds to wait for the action list to stop changing before predicting it
+       * @member {number}
+       */
+      this.delay = 150;
+
+      /**
+       * Identifier of the latest request sent to the worker
+       * @member {number}
+       */
+      this.requestId = 0;
+
+      /**
+       * Request that the worker is currently running
+       * @member {Object|null}
+       */
+      this.pending = null;
+
+      /**
+       * Request that the worker is running on each channel other than the action list's, which resolves its promise
+       * @member {Object.<string, Object>}
+       */
+      this.callbacks = {};
+
+      /**
+       * Latest prediction received, along with the action list it predicts
+       * @member {Object|null}
+       */
+      this.last = null;
+
+      /**
+       * URL of the worker's script
+       * @member {string|null}
+       */
+      this.workerUrl = null;
+
+      /**
+       * Worker that runs the simulations, or `null` if simulations run on the page
+       * @member {Worker|null}
+       */
+      this.worker = null;
+
+      try {
+        this.workerUrl = URL.createObjectURL(new Blob([this.workerSource()], { type: 'text/javascript' }));
+        this.startWorker();
+      } catch (e) {
+        console.warn('Unable to start the prediction worker, so predictions will run on the page.', e);
+        this.worker = null;
+      }
+    }
+
+    /**
+     * Build the source of the worker's script.
+     * @return {string} Source of the worker's script
+     * @memberof Koviko.Predictor
+     */
+    workerSource() {
+      // The rulesets can't be copied as they are, so they are written out as source as well
+      const rulesets = Object.keys(Koviko.rulesets).map(version => {
+        const ruleset = Koviko.rulesets[version];
+        const overrides = Object.keys(ruleset.overrides).map(name => `${JSON.stringify(name)}: ${ruleset.overrides[name]},`);
+
+        return `${JSON.stringify(version)}: { base: ${JSON.stringify(ruleset.base)}, predictions: ${ruleset.predictions}, overrides: { ${overrides.join('')} } },`;
+      });
+
+      // The engine doesn't reference anything outside of itself, so its source can be rebuilt inside of the worker
+      return `
+        const Koviko = {
+          rulesets: { ${rulesets.join('')} },
+          Prediction: ${Koviko.Prediction},
+          Snapshot: ${Koviko.Snapshot},
+          Simulator: ${Koviko.Simulator},
+        };
+
+        const simulators = {};
+        const latest = {};
+        let other = null;
+
+        // Predict an action list, unless a newer one arrived on the same channel while the worker was busy
+        const predict = (request) => {
+          if (request !== latest[request.channel]) {
+            return;
+          }
+
+          if (!simulators[request.channel] || !simulators[request.channel].matches(request.game)) {
+            simulators[request.channel] = new Koviko.Simulator(request.game);
+          }
+
+          const simulator = simulators[request.channel];
+          const result = simulator.run(request.actions);
+
+          result.samples = request.runs ? simulator.sample(request.actions, request.runs) : null;
+
+          // The saved action list is predicted by a simulator of its own, so that each keeps its own checkpoints, and
+          // always from the start of a loop, since it isn't the one running
+          if (request.comparison) {
+            const game = Object.assign({}, request.game, { start: null });
+
+            other = other && other.matches(game) ? other : new Koviko.Simulator(game);
+            result.diff = simulator.diff(other.run(request.comparison), result);
+          }
+
+          postMessage({ id: request.id, result: result });
+        };
+
+        onmessage = (e) => {
+          // Anything that can take a while gets a worker of its own, which only runs the one method
+          if (e.data.method) {
+            return postMessage({ result: new Koviko.Simulator(e.data.game)[e.data.method](...e.data.args) });
+          }
+
+          // Wait for the rest of the messages that queued up, so that only the latest of each channel is predicted
+          latest[e.data.channel] = e.data;
+          setTimeout(() => predict(e.data));
+        };
+      `;
+    }
+
+    /**
+     * Register the prediction parameters of an action, replacing those of the ruleset if the action already has some.
+     * @param {string} name Name of the action
+     * @param {function} definition Builds the prediction parameters from a {@link Koviko~GameState} and the simulator's
+     * helpers, using nothing else, since it is rebuilt from its source inside of the web worker
+     * @param {string} [version] Version of the ruleset to register the action with, defaulting to the one in use
+     * @throws {Error} If there is no ruleset for the version, or if the rebuilt action fails against the current game
+     * state, in which case nothing is registered
+     * @memberof Koviko.Predictor
+     */
+    register(name, definition, version) {
+      if (version !== undefined && !(version in Koviko.rulesets)) {
+        throw new Error(`There is no ruleset for version ${version}, only for ${Object.keys(Koviko.rulesets).join(', ')}.`);
+      }
+
+      /**
+       * Current game state with the definition of the action, predicted with the ruleset being changed
+       * @var {Koviko~GameState}
+       */
+      const game = Object.assign(this.capture([name]), version !== undefined ? { version: version } : {});
+
+      /** @var {Koviko~Ruleset} */
+      const ruleset = new Koviko.Simulator(game).ruleset;
+
+      /** @var {function|undefined} */
+      const previous = ruleset.overrides[name];
+
+      // Rebuild the action from its source like the web worker does, so that one using anything else fails right away
+      ruleset.overrides[name] = new Function(`return (${definition});`)();
+
+      /** @var {Array.<string>} */
+      let failures;
+
+      try {
+        failures = new Koviko.Simulator(game).test().filter(x => x.startsWith(`${name}: `));
+      } catch (e) {
+        failures = [`${name}: ${e.message}`];
+      }
+
+      if (failures.length) {
+        if (previous) {
+          ruleset.overrides[name] = previous;
+        } else {
+          delete ruleset.overrides[name];
+        }
+
+        throw new Error(`The action could not be registered: ${failures.join(', ')}`);
+      }
+
+      // Start over with the new rule
+      this.validate();
+      this.simulator = null;
+      this.last = null;
+
+      if (this.workerUrl) {
+        URL.revokeObjectURL(this.workerUrl);
+        this.workerUrl = URL.createObjectURL(new Blob([this.workerSource()], { type: 'text/javascript' }));
+        this.startWorker();
+      }
+
+      Koviko.globals.view.updateNextActions();
+    }
+
+    /**
+     * Detect the version of the game that is running.
+     * @return {string|null} Version of the game, or `null` if it couldn't be detected
+     * @memberof Koviko.Predictor
+     */
+    detectVersion() {
+      /** @var {*} */
+      let version = null;
+
+      // Only the game's own version is read, since a global with a name as common as `version` could be anyone's
+      try {
+        version = eval('gameVersion');
+      } catch (e) {
+        // The game doesn't say which version it is
+      }
+
+      return typeof version === 'string' || typeof version === 'number' ? String(version) : null;
+    }
+
+    /**
+     * Start a new worker, throwing away the current one along with whatever it was working on.
+     * @memberof Koviko.Predictor
+     */
+    startWorker() {
+      this.worker && this.worker.terminate();
+      this.worker = new Worker(this.workerUrl);
+      this.pending = null;
+
+      // Whatever the old worker didn't answer is asked of the new one
+      Object.keys(this.callbacks).forEach(channel => this.worker.postMessage(this.callbacks[channel].message));
+
+      // Display the result, but only if nothing has been requested since
+      this.worker.onmessage = (e) => {
+        const request = this.pending;
+
+        /** @var {string|undefined} */
+        const channel = Object.keys(this.callbacks).find(x => this.callbacks[x].message.id === e.data.id);
+
+        // Answer a request of another channel
+        if (channel) {
+          this.callbacks[channel].resolve(e.data.result);
+          delete this.callbacks[channel];
+          return;
+        }
+
+        if (request && request.id === e.data.id) {
+          this.pending = null;
+          this.last = { actions: request.actions, result: e.data.result };
+
+          if (this.isSameList(request.actions, request.live)) {
+            this.render(e.data.result, request.container);
+          }
+        }
+      };
+
+      // Fall back to running simulations on the page if the worker breaks
+      this.worker.onerror = (e) => {
+        const request = this.pending;
+
+        /** @var {Object.<string, Object>} */
+        const callbacks = this.callbacks;
+
+        console.warn('The prediction worker failed, so predictions will run on the page.', e);
+        this.worker.terminate();
+        this.worker = null;
+        this.pending = null;
+        this.callbacks = {};
+        request && this.update(request.live, request.container);
+        // Answer every request on its own, so that one that can't be predicted doesn't leave the others waiting
+        Object.keys(callbacks).forEach((channel) => {
+          try {
+            callbacks[channel].resolve(new Koviko.Simulator(callbacks[channel].message.game).run(callbacks[channel].message.actions));
+          } catch (error) {
+            callbacks[channel].reject(error);
+          }
+        });
+      };
+    }
+
+    /**
+     * Predict the action list once it stops changing, without blocking the page while doing so.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {HTMLElement} container Parent element of the action list
+     * @memberof Koviko.Predictor
+     */
+    schedule(actions, container) {
+      // The game has just redrawn the list, so show the last prediction again while waiting for a new one
+      if (this.last && this.isSameList(this.last.actions, actions)) {
+        this.render(this.last.result, container);
+      }
+
+      clearTimeout(this.timeout);
+
+      /**
+       * Timeout that waits for the action list to stop changing
+       * @member {number}
+       */
+      this.timeout = setTimeout(() => this.request(actions, container), this.delay);
+    }
+
+    /**
+     * Send the action list to the worker to be predicted. The worker skips the lists that were replaced while it was
+     * busy, and the prediction of any list other than the latest is thrown away when it arrives, so the worker and its
+     * checkpoints stay around.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {HTMLElement} container Parent element of the action list
+     * @memberof Koviko.Predictor
+     */
+    request(actions, container) {
+      if (!this.worker) {
+        return this.update(actions, container);
+      }
+
+      /** @var {Object} */
+      const request = this.prepare(actions);
+
+      this.pending = { id: ++this.requestId, actions: actions.map(x => ({ name: x.name, loops: x.loops })), live: actions, container: container };
+      this.worker.postMessage({ id: this.requestId, channel: 'list', game: request.game, actions: request.actions, runs: this.runs, comparison: this.comparison });
+    }
+
+    /**
+     * Predict an action list that isn't shown in the action list, in the worker next to the predictions of the action
+     * list where possible. Each channel has a simulator of its own in the worker, so that its checkpoints hold from one
+     * request to the next, and a request replaces the request of its channel that hasn't been answered yet.
+     * @param {string} channel Name of the channel
+     * @param {Array.<Koviko~ListedAction>} actions Action list to predict
+     * @param {Koviko~GameState} [game] Game state to predict against, defaulting to the current one
+     * @return {Promise.<Koviko.Simulator~Result|null>} Prediction of the action list, or `null` if a later request of
+     * the same channel replaced it
+     * @memberof Koviko.Predictor
+     */
+    ask(channel, actions, game = this.capture()) {
+      // The request that this one replaces is answered with nothing
+      if (this.callbacks[channel]) {
+        this.callbacks[channel].resolve(null);
+        delete this.callbacks[channel];
+      }
+
+      return new Promise((resolve, reject) => {
+        if (!this.worker) {
+          return resolve(new Koviko.Simulator(game).run(actions));
+        }
+
+        /** @var {Object} */
+        const message = { id: ++this.requestId, channel: channel, game: game, actions: actions };
+
+        this.callbacks[channel] = { message: message, resolve: resolve, reject: reject };
+        this.worker.postMessage(message);
+      });
+    }
+
+    /**
+     * Gather what is needed to predict an action list, which is the rest of the running loop when predicting from where
+     * the loop is and the action list is the one running.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @return {Object} Game state to predict against as `game`, and the action list to simulate as `actions`
+     * @memberof Koviko.Predictor
+     */
+    prepare(actions) {
+      /** @var {Koviko~GameState} */
+      const game = this.capture();
+
+      /** @var {Object|null} */
+      const position = this.live ? this.position(actions) : null;
+
+      game.start = position && position.start;
+
+      return { game: game, actions: position ? position.actions : actions.map(x => ({ name: x.name, loops: x.loops })) };
+    }
+
+    /**
+     * Find the position of the running loop, so that the rest of it can be predicted.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @return {Object|null} Position of the running loop as `start`, and the action list with the loops that are done
+     * taken out as `actions`, or `null` if the action list isn't the one running
+     * @memberof Koviko.Predictor
+     */
+    position(actions) {
+      /** @var {Array.<Object>} */
+      const current = Koviko.globals.actions.current || [];
+
+      /** @var {Object} */
+      const running = current[Koviko.globals.actions.currentPos];
+
+      /**
+       * Names that the game gives to resources that the predictor names differently
+       * @var {Object.<string, string>}
+       */
+      const names = { reputation: 'rep', teamMembers: 'team' };
+
+      /** @var {Object} */
+      let live;
+
+      if (!running || !this.isSameList(current, actions)) {
+        return null;
+      }
+
+      // The game keeps the running loop in globals that the predictor doesn't need otherwise
+      try {
+        live = { timer: eval('timer'), timeNeeded: eval('timeNeeded'), resources: eval('resources'), curTown: eval('curTown'), stats: eval('stats') };
+      } catch (e) {
+        return null;
+      }
+
+      /** @var {Koviko~Action} */
+      const action = Koviko.globals.translateClassNames(running.name);
+
+      return {
+        start: {
+          resources: Object.keys(live.resources).reduce((resources, name) => {
+            if (typeof live.resources[name] === 'number' || typeof live.resources[name] === 'boolean') {
+              resources[names[name] || name] = live.resources[name];
+            }
+
+            return resources;
+          }, {
+            // The loop in progress is predicted from its start, so the mana it spent is given back, unless it has loops
+            // whose progress is kept in its town
+            mana: live.timeNeeded - live.timer + (action && !action.segments ? running.ticks || 0 : 0),
+            town: live.curTown,
+          }),
+          stats: Koviko.globals.statList.reduce((stats, name) => (stats[name] = live.stats[name].exp, stats), {}),
+        },
+        actions: actions.map((x, i) => ({
+          name: x.name,
+          loops: i < Koviko.globals.actions.currentPos ? 0 : i === Koviko.globals.actions.currentPos ? running.loopsLeft : x.loops,
+        })),
+      };
+    }
+
+    /**
+     * Search for the loop counts and order of the action list that best meet an objective without running out of mana,
+     * and offer to apply the best action list found, as long as it keeps mana above zero.
+     * @param {Koviko.Simulator~Objective} objective What to optimize
+     * @param {Array.<Koviko.Simulator~TemplateAction>} [template] Action list to start from, defaulting to the action list
+     * @return {Promise.<Koviko.Simulator~Optimization>} Best action list found
+     * @memberof Koviko.Predictor
+     */
+    optimize(objective, template = Koviko.globals.actions.next) {
+      /** @var {Array.<Koviko.Simulator~TemplateAction>} */
+      const list = template.map(x => Object.assign({ name: x.name, loops: x.loops }, 'min' in x ? { min: x.min } : {}, 'max' in x ? { max: x.max } : {}));
+
+      return this.offload('optimize', [list, objective]).then((optimization) => {
+        // Never offer a list that runs out of mana
+        if (!optimization.isValid) {
+          this.applyDisplay.style.display = 'none';
+          this.applyDisplay.onclick = null;
+          console.warn(`No action list was found for ${optimization.target} that keeps mana above zero.`);
+          return optimization;
+        }
+
+        this.applyDisplay.textContent = `apply optimized list (${optimization.target}: ${this.formatNumber(optimization.initial, 1)} → ${this.formatNumber(optimization.value, 1)})`;
+        this.applyDisplay.title = optimization.actions.map(x => `${x.name} x${x.loops}`).join('\n');
+        this.applyDisplay.style.display = '';
+        this.applyDisplay.onclick = () => this.apply(optimization.actions);
+
+        return optimization;
+      });
+    }
+
+    /**
+     * Replay the action list for many loops in a row, and chart how the resources and skills change from one loop to the
+     * next.
+     * @param {number} [loops=10] Amount of loops to replay the action list for
+     * @param {Array.<Koviko~ListedAction>} [actions] Action list to replay, defaulting to the action list
+     * @return {Promise.<Array.<Koviko.Simulator~ProjectedLoop>>} Outcome of each loop
+     * @memberof Koviko.Predictor
+     */
+    project(loops = 10, actions = Koviko.globals.actions.next) {
+      /** @var {Array.<Koviko~ListedAction>} */
+      const list = actions.map(x => ({ name: x.name, loops: x.loops }));
+
+      return this.offload('project', [list, loops]).then((projection) => {
+        /**
+         * Build a row of the chart for a value of each loop, as long as the value changes at all.
+         * @param {string} label Label of the row
+         * @param {function} value Gets the value of a loop
+         * @param {string} color Color of the line
+         * @return {string} HTML of the row
+         */
+        const row = (label, value, color) => {
+          const values = projection.map(value);
+
+          return values.some(x => x !== values[0]) ? `<tr><td>${label}</td><td>${this.chart(values, color)}</td><td>${this.formatNumber(values[0], 1)} → ${this.formatNumber(values[values.length - 1], 1)}</td></tr>` : '';
+        };
+
+        /** @var {Koviko.Simulator~ProjectedLoop} */
+        const last = projection[projection.length - 1];
+
+        this.panel(`${projection.length} loops of ${list.length} actions`, '<table>'
+          + row('mana', x => x.mana, '#8293ff')
+          + row('time', x => x.ticks / 50, '#8293ff')
+          + Object.keys(last.resources).filter(x => typeof last.resources[x] === 'number' && x !== 'mana' && x !== 'town').map(x => row(x, y => y.resources[x] || 0, '#d09249')).join('')
+          + row('soulstones', x => x.soulstones, '#9d67cd')
+          + last.floors.map((floors, i) => row(`dungeon ${i + 1} floors`, x => x.floors[i], '#9d67cd')).join('')
+          + Object.keys(last.skills).map(x => row(x, y => y.skills[x], '#4caf50')).join('')
+          + `</table>${projection.every(x => x.isValid) ? '' : `<p class=worse>Runs out of mana in loop ${projection.find(x => !x.isValid).loop}.</p>`}`);
+
+        return projection;
+      });
+    }
+
+    /**
+     * Show a panel over the page, replacing the panel shown before it.
+     * @param {string} title Title of the panel
+     * @param {string} html Content of the panel
+     * @return {HTMLElement} Element of the panel
+     * @memberof Koviko.Predictor
+     */
+    panel(title, html) {
+      /** @var {HTMLElement} */
+      const panel = this.element('div', '', document.body, 'koviko-panel');
+
+      panel.innerHTML = `<span class=close>×</span><h3>${title}</h3>${html}`;
+      panel.firstElementChild.onclick = () => panel.remove();
+
+      return panel;
+    }
+
+    /**
+     * Draw values as a line.
+     * @param {Array.<number>} values Values to draw, from left to right
+     * @param {string} color Color of the line
+     * @param {number} [width=120] Width of the chart, in pixels
+     * @param {number} [height=24] Height of the chart, in pixels
+     * @return {string} SVG of the chart
+     * @memberof Koviko.Predictor
+     */
+    chart(values, color, width = 120, height = 24) {
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min || 1;
+      const x = i => values.length > 1 ? i * width / (values.length - 1) : 0;
+      const y = value => height - (value - min) * height / range;
+
+      return `<svg width=${width} height=${height} viewBox="-1 -1 ${width + 2} ${height + 2}"><polyline fill=none stroke="${color}" points="${values.map((value, i) => `${x(i)},${y(value)}`).join(' ')}"/></svg>`;
+    }
+
+    /**
+     * Run a simulator method that can take a while against the current game state, in a worker of its own where
+     * possible, so that neither the page nor the predictions of the action list have to wait for it.
+     * @param {string} method Name of the simulator method
+     * @param {Array} args Arguments of the method
+     * @return {Promise} Return value of the method, or the error it throws
+     * @memberof Koviko.Predictor
+     */
+    offload(method, args) {
+      /** @var {Koviko~GameState} */
+      const game = this.capture();
+
+      return new Promise((resolve, reject) => {
+        if (!this.workerUrl) {
+          return resolve(new Koviko.Simulator(game)[method](...args));
+        }
+
+        const worker = new Worker(this.workerUrl);
+
+        worker.onmessage = (e) => (worker.terminate(), resolve(e.data.result));
+
+        // Fall back to the page if the worker breaks, and fail if that breaks as well
+        worker.onerror = () => {
+          worker.terminate();
+
+          try {
+            resolve(new Koviko.Simulator(game)[method](...args));
+          } catch (error) {
+            reject(error);
+          }
+        };
+        worker.postMessage({ game: game, method: method, args: args });
+      });
+    }
+
+    /**
+     * Replace the action list of the game with another action list.
+     * @param {Array.<Koviko~ListedAction>} actions Actions to put in the action list
+     * @memberof Koviko.Predictor
+     */
+    apply(actions) {
+      /** @var {Array.<Koviko~ListedAction>} */
+      const next = Koviko.globals.actions.next;
+
+      // Keep whatever else the game stores with each action
+      next.splice(0, next.length, ...actions.map(x => Object.assign({}, next.find(y => y.name === x.name), { name: x.name, loops: x.loops })));
+
+      this.applyDisplay.style.display = 'none';
+      Koviko.globals.view.updateNextActions();
+    }
+
+    /**
+     * Read a value that the predictor saved in the browser.
+     * @param {string} key Name of the value
+     * @param {*} fallback Value to use if nothing was saved, or if what was saved can't be read
+     * @return {*} Saved value
+     * @memberof Koviko.Predictor
+     */
+    recall(key, fallback) {
+      try {
+        const value = localStorage.getItem(`koviko-${key}`);
+        return value === null ? fallback : JSON.parse(value);
+      } catch (e) {
+        return fallback;
+      }
+    }
+
+    /**
+     * Save a value in the browser, so that it is kept between sessions.
+     * @param {string} key Name of the value
+     * @param {*} value Value to save
+     * @memberof Koviko.Predictor
+     */
+    store(key, value) {
+      try {
+        localStorage.setItem(`koviko-${key}`, JSON.stringify(value));
+      } catch (e) {
+        console.warn(`The predictor couldn't save its ${key}: ${e.message}`);
+      }
+    }
+
+    /**
+     * Sum up the prediction of an action list.
+     * @param {Koviko.Simulator~Result} result Prediction of the action list
+     * @return {Koviko~Summary} Summary of the prediction
+     * @memberof Koviko.Predictor
+     */
+    summarize(result) {
+      return {
+        mana: result.total,
+        ticks: result.ticks,
+        isValid: result.actions.every(x => !x || x.isValid),
+        resources: Object.assign({}, result.state.resources),
+        soul: result.state.resources.soul || 0,
+      };
+    }
+
+    /**
+     * Save an action list under a name, along with its prediction from the start of a loop, replacing any action list
+     * saved under the same name.
+     * @param {string} name Name of the action list
+     * @param {Array.<Koviko~ListedAction>} [actions] Action list to save, defaulting to the action list
+     * @return {Promise.<Koviko~Route>} Saved action list
+     * @memberof Koviko.Predictor
+     */
+    save(name, actions = Koviko.globals.actions.next) {
+      /** @var {Array.<Koviko~ListedAction>} */
+      const list = actions.map(x => ({ name: x.name, loops: x.loops }));
+
+      /**
+       * Latest action list being saved, after which the next one is predicted, so that none of them replaces another
+       * and one that fails doesn't hold up the rest
+       * @member {Promise}
+       */
+      this.saving = (this.saving || Promise.resolve()).catch(() => null).then(() => this.ask('save', list)).then((result) => {
+        // Read the routes only now, so that nothing saved in the meantime is lost
+        const routes = this.recall('routes', {});
+
+        routes[name] = {
+          actions: list,
+          version: this.version,
+          saved: Date.now(),
+          summary: this.summarize(result),
+        };
+
+        this.store('routes', routes);
+
+        return routes[name];
+      });
+
+      return this.saving;
+    }
+
+    /**
+     * Predict every saved action list against the current game state, from the start of a loop.
+     * @return {Promise.<Object.<string, Koviko~Summary>|null>} Summary of the prediction of each saved action list, or
+     * `null` if predicting them all again was started over before it was done
+     * @memberof Koviko.Predictor
+     */
+    repredict() {
+      /** @var {Object.<string, Koviko~Route>} */
+      const routes = this.recall('routes', {});
+
+      /** @var {Object.<string, Koviko~Summary>} */
+      const summaries = {};
+
+      // Predict one list at a time, each after the last, until one of them is replaced by starting over
+      return Object.keys(routes).reduce((promise, name) => promise
+        .then(isDone => isDone ? this.ask('routes', routes[name].actions) : null)
+        .then(result => result && (summaries[name] = this.summarize(result))), Promise.resolve(true))
+        .then(isDone => isDone ? summaries : null);
+    }
+
+    /**
+     * Show a panel of the saved action lists, which saves the action list under a name, loads or deletes saved action
+     * lists, and predicts them all again to find which is now the best.
+     * @param {Object.<string, Koviko~Summary>} [summaries] Current summary of each saved action list, if predicted again
+     * @return {HTMLElement} Element of the panel
+     * @memberof Koviko.Predictor
+     */
+    manager(summaries) {
+      /** @var {Object.<string, Koviko~Route>} */
+      const routes = this.recall('routes', {});
+
+      /** @var {Array.<string>} */
+      const names = Object.keys(routes);
+
+      /**
+       * Summary of each action list, which is the current one where the list was predicted again
+       * @var {Array.<Koviko~Summary>}
+       */
+      const current = names.map(name => summaries && summaries[name] || routes[name].summary);
+
+      /**
+       * Best value of a column among the action lists that don't run out of mana
+       * @param {function} value Gets the value from a summary
+       * @param {function} pick Picks the best of the values
+       * @return {number} Best value
+       */
+      const best = (value, pick) => pick(...current.filter(x => x.isValid).map(value));
+
+      const bestMana = best(x => x.mana, Math.min);
+      const bestTicks = best(x => x.ticks, Math.min);
+      const bestSoul = best(x => x.soul, Math.max);
+
+      /**
+       * Format a value of a column, along with how much it changed since the list was saved
+       * @param {number} value Current value
+       * @param {number} saved Value when the list was saved
+       * @param {boolean} isBest Whether the value is the best in its column
+       * @param {boolean} isMoreBetter Whether more is better
+       * @param {function} format Formats the value
+       * @return {string} HTML of the cell
+       */
+      const cell = (value, saved, isBest, isMoreBetter, format) => `<td${isBest ? ' class=better' : ''}>${format(value)}${summaries ? ` (${this.formatDelta(value - saved, isMoreBetter, format)})` : ''}</td>`;
+
+      const rows = names.map((name, i) => `<tr><td></td><td>${routes[name].version || '?'}</td>`
+        + cell(current[i].mana, routes[name].summary.mana, current[i].isValid && current[i].mana === bestMana, false, x => this.formatNumber(x))
+        + cell(current[i].ticks, routes[name].summary.ticks, current[i].isValid && current[i].ticks === bestTicks, false, x => this.formatTime(x))
+        + cell(current[i].soul, routes[name].summary.soul, current[i].isValid && current[i].soul === bestSoul, true, x => this.formatNumber(x, 1))
+        + `<td>${current[i].isValid ? '' : '<span class=worse>out of mana</span>'}</td><td><button class=load>load</button> <button class=delete>delete</button></td></tr>`).join('');
+
+      /** @var {HTMLElement} */
+      const panel = this.panel('Saved routes', `<div><input placeholder="Name of the route"> <button class=save>save the action list</button> <button class=repredict${names.length ? '' : ' disabled'}>predict all again</button></div>`
+        + (names.length ? `<table class=routes><tr><th>route</th><th>version</th><th>mana</th><th>time</th><th>soul</th><th></th><th></th></tr>${rows}</table>` : '<p>No routes are saved yet.</p>'));
+
+      const input = panel.querySelector('input');
+
+      // Names are set as text, since they are whatever was typed in
+      [...panel.querySelectorAll('table.routes tr')].slice(1).forEach((tr, i) => {
+        tr.firstElementChild.textContent = names[i];
+        tr.firstElementChild.title = routes[names[i]].actions.map(x => `${x.name} x${x.loops}`).join('\n');
+        tr.querySelector('.load').onclick = () => this.apply(routes[names[i]].actions);
+        tr.querySelector('.delete').onclick = () => (delete routes[names[i]], this.store('routes', routes), this.manager(summaries));
+      });
+
+      panel.querySelector('.save').onclick = () => input.value.trim() && this.save(input.value.trim()).then(() => this.manager(summaries), e => console.warn('The action list could not be saved.', e));
+      panel.querySelector('.repredict').onclick = () => this.repredict().then(x => x && this.manager(x));
+
+      return panel;
+    }
+
+    /**
+     * Read an action list from text, which is either JSON, such as an exported prediction or a list of actions with a
+     * `name` and `loops` each, or a line for each action with its name followed by its loops, such as `Wander x3`.
+     * @param {string} text Action list as text
+     * @return {{actions: Array.<Koviko~ListedAction>, errors: Array.<string>}} Actions read, and the reasons why any of
+     * them couldn't be read
+     * @memberof Koviko.Predictor
+     */
+    parse(text) {
+      /** @var {Array.<Koviko~ListedAction>} */
+      const actions = [];
+
+      /** @var {Array.<string>} */
+      const errors = [];
+
+      /** @var {Array.<Object>} */
+      let entries;
+
+      if (/^\s*[\[{]/.test(text)) {
+        try {
+          entries = JSON.parse(text);
+        } catch (e) {
+          return { actions: actions, errors: [`The JSON can't be read: ${e.message}`] };
+        }
+
+        entries = (Array.isArray(entries) ? entries : entries.actions || []).map((x, i) => ({ label: `Action ${i + 1}`, name: x && x.name, loops: x && x.loops }));
+      } else {
+        entries = text.split('\n').map((line, i) => {
+          const match = line.trim().match(/^(.*?)(?:\s+[x×*]\s*(\S+))?$/i);
+          return { label: `Line ${i + 1}`, name: match[1], loops: match[2] === undefined ? 1 : Number(match[2]) };
+        }).filter(x => x.name);
+      }
+
+      entries.forEach((x) => {
+        if (typeof x.name !== 'string' || !this.names.concat(this.missing).includes(x.name)) {
+          errors.push(`${x.label}: there is no action named "${x.name}"`);
+        } else if (!Number.isInteger(x.loops) || x.loops < 0) {
+          errors.push(`${x.label}: ${x.name} needs a whole number of loops, not "${x.loops}"`);
+        } else {
+          actions.push({ name: x.name, loops: x.loops });
+        }
+      });
+
+      return { actions: actions, errors: errors };
+    }
+
+    /**
+     * Show a panel to paste an action list into, which predicts the action list on its own and offers to load it into
+     * the action list of the game.
+     * @param {string} [text] Action list to start with, as text
+     * @return {HTMLElement} Element of the panel
+     * @memberof Koviko.Predictor
+     */
+    importer(text = '') {
+      /** @var {HTMLElement} */
+      const panel = this.panel('Import an action list', '<textarea rows=8 cols=40 placeholder="Wander x3"></textarea><div><button class=predict>predict</button> <button class=load disabled>load into the action list</button> <span class=total></span></div><ul class=errors></ul><div class=rows></div>');
+
+      const [textarea, errors, rows] = ['textarea', '.errors', '.rows'].map(x => panel.querySelector(x));
+      const [predict, load] = ['.predict', '.load'].map(x => panel.querySelector(x));
+
+      /** @var {Array.<Koviko~ListedAction>} */
+      let actions = [];
+
+      textarea.value = text;
+      textarea.oninput = () => load.disabled = true;
+
+      predict.onclick = () => {
+        /** @var {{actions: Array.<Koviko~ListedAction>, errors: Array.<string>}} */
+        const parsed = this.parse(textarea.value);
+
+        actions = parsed.actions;
+        errors.innerHTML = rows.innerHTML = '';
+        parsed.errors.forEach(x => errors.appendChild(document.createElement('li')).textContent = x);
+        actions.forEach(x => rows.appendChild(document.createElement('div')).textContent = `${x.name} ×${x.loops}`);
+
+        // Predict the pasted list in the panel, rather than in the action list, from the start of a loop
+        this.ask('import', actions).then((result) => {
+          if (!result) {
+            return;
+          }
+
+          this.render(result, rows);
+          panel.querySelector('.total').innerHTML = actions.length ? this.formatNumber(result.total) + ' | ' + this.formatTime(result.ticks) : '';
+          load.disabled = !actions.length || parsed.errors.length > 0;
+        });
+      };
+
+      load.onclick = () => this.apply(actions);
+
+      return panel;
+    }
+
+    /**
+     * Write the prediction of an action list as CSV, with a row for each action, or as JSON, which also holds the game
+     * state and the action list that it was predicted from, so that it can be predicted again without the game.
+     * @param {string} format Either `csv` or `json`
+     * @param {Array.<Koviko~ListedAction>} [actions] Action list to predict, defaulting to the action list
+     * @return {Promise.<string|null>} Prediction of the action list, or `null` if a later export replaced it
+     * @memberof Koviko.Predictor
+     */
+    serialize(format, actions = Koviko.globals.actions.next) {
+      /** @var {Object} */
+      const request = this.prepare(actions);
+
+      return this.ask('export', request.actions, request.game).then(result => result && this.write(format, request, result));
+    }
+
+    /**
+     * Write a prediction of an action list as CSV or as JSON.
+     * @param {string} format Either `csv` or `json`
+     * @param {Object} request Game state that the action list was predicted against as `game`, and the action list as
+     * `actions`
+     * @param {Koviko.Simulator~Result} result Prediction of the action list
+     * @return {string} Prediction of the action list
+     * @memberof Koviko.Predictor
+     */
+    write(format, request, result) {
+      /** @var {Array.<Object>} */
+      const rows = this.rows(result, request.actions);
+
+      if (format === 'json') {
+        return JSON.stringify({
+          version: this.version,
+          game: request.game,
+          actions: request.actions,
+          total: result.total,
+          ticks: result.ticks,
+          rows: rows,
+        }, null, 2);
+      }
+
+      /**
+       * Names of the columns, which are the keys of every row in order of appearance
+       * @var {Array.<string>}
+       */
+      const columns = Object.keys(rows.reduce((columns, row) => Object.assign(columns, row), {}));
+
+      // Quote the values that would otherwise break the row apart
+      const cell = value => value === undefined ? '' : /[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+
+      return [columns].concat(rows.map(row => columns.map(column => row[column]))).map(row => row.map(cell).join(',')).join('\n');
+    }
+
+    /**
+     * Flatten the prediction of an action list into a row for each action, holding its loops, the mana and time it
+     * spent, the mana and time spent up to the end of it, and the resources, stat levels and skill levels after it.
+     * @param {Koviko.Simulator~Result} result Prediction of the action list
+     * @param {Array.<Koviko~ListedAction>} actions Action list that was predicted
+     * @return {Array.<Object>} Row of each action
+     * @memberof Koviko.Predictor
+     */
+    rows(result, actions) {
+      /** @var {number} */
+      let spent = 0;
+
+      return actions.map((action, i) => {
+        /** @var {Koviko.Simulator~ActionResult|null} */
+        const prediction = result.actions[i];
+
+        /** @var {Object} */
+        const row = { action: action.name, loops: action.loops };
+
+        if (!prediction) {
+          return row;
+        }
+
+        spent += prediction.mana;
+
+        Object.assign(row, {
+          'mana used': prediction.mana,
+          'total mana used': spent,
+          seconds: prediction.ticks / 50,
+          'total seconds': prediction.elapsed / 50,
+          valid: prediction.isValid,
+        });
+
+        for (let name in prediction.resources) {
+          row[name] = prediction.resources[name];
+        }
+
+        for (let name in prediction.levels.stats) {
+          row[name] = prediction.levels.stats[name].value;
+        }
+
+        for (let name in prediction.levels.skills) {
+          row[name] = prediction.levels.skills[name].value;
+        }
+
+        return row;
+      });
+    }
+
+    /**
+     * Download the prediction of the action list.
+     * @param {string} format Either `csv` or `json`
+     * @return {Promise} Resolves once the download has started
+     * @memberof Koviko.Predictor
+     */
+    download(format) {
+      return this.serialize(format).then((text) => {
+        if (!text) {
+          return;
+        }
+
+        /** @var {HTMLElement} */
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' }));
+        link.download = `prediction.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+      });
+    }
+
+    /**
+     * Check whether two action lists contain the same actions with the same amount of loops.
+     * @param {Array.<Koviko~ListedAction>} a First action list
+     * @param {Array.<Koviko~ListedAction>} b Second action list
+     * @return {boolean} Whether the lists are the same
+     * @memberof Koviko.Predictor
+     */
+    isSameList(a, b) {
+      return a.length === b.length && a.every((x, i) => x.name === b[i].name && x.loops === b[i].loops);
+    }
+
+    /**
+     * Take a snapshot of the game state needed to simulate an action list.
+     * @param {Array.<string>} [names] Names of the actions whose definitions should be included, defaulting to every action that can be predicted
+     * @return {Koviko~GameState} Game state
+     * @memberof Koviko.Predictor
+     */
+    capture(names = this.names) {
+      // Alias the globals to a shorter variable name
+      const g = Koviko.globals;
+
+      return {
+        version: this.version,
+        statList: g.statList.slice(),
+        bonusXP: g.statList.reduce((bonus, name) => (bonus[name] = g.getTotalBonusXP(name), bonus), {}),
+        skills: Object.entries(g.skills).reduce((skills, x) => (skills[x[0].toLowerCase()] = x[1].exp, skills), {}),
+        towns: g.towns.map(town => Object.keys(town).reduce((attrs, key) => (typeof town[key] === 'number' && (attrs[key] = town[key]), attrs), {})),
+        dungeons: g.dungeons.map(floors => floors.map(floor => ({ ssChance: floor.ssChance, completed: floor.completed }))),
+        buffs: { Ritual: g.getBuffLevel('Ritual') },
+        goldCost: {
+          smashPots: g.goldCostSmashPots(),
+          wildMana: g.goldCostWildMana(),
+          locks: g.goldCostLocks(),
+          sQuests: g.goldCostSQuests(),
+          lQuests: g.goldCostLQuests(),
+        },
+        actions: names.reduce((definitions, name) => {
+          if (!(name in definitions)) {
+            const a = g.translateClassNames(name);
+
+            a && (definitions[name] = {
+              name: a.name,
+              expMult: a.expMult,
+              townNum: a.townNum,
+              varName: a.varName,
+              segments: a.segments,
+              dungeonNum: a.dungeonNum,
+              stats: Object.assign({}, a.stats),
+              loopStats: a.loopStats && a.loopStats.slice(),
+              manaCost: a.manaCost(),
+            });
+          }
+
+          return definitions;
+        }, {}),
+      };
+    }
+
+    /**
+     * Update the action list view.
+     * @param {Array.<Koviko~ListedAction>} actions Actions in the action list
+     * @param {HTMLElement} [container] Parent element of the action list
+     * @param {boolean} [isDebug] Whether to log useful debug information
+     * @return {Koviko.Simulator~Result} Prediction of the action list, with a record for each action in `actions`
+     * @memberof Koviko.Predictor
+     */
+    update(actions, container, isDebug) {
+      /** @var {Object} */
+      const request = this.prepare(actions);
+
+      // Keep the checkpoints of the last prediction for as long as the game state stays the same
+      if (!this.simulator || !this.simulator.matches(request.game)) {
+        this.simulator = new Koviko.Simulator(request.game);
+      }
+
+      /** @var {Koviko.Simulator~Result} */
+      const result = this.simulator.run(request.actions);
+
+      result.samples = this.runs ? this.simulator.sample(request.actions, this.runs) : null;
+
+      // The saved action list is predicted by a simulator of its own, so that each keeps its own checkpoints, and always
+      // from the start of a loop, since it isn't the one running
+      if (this.comparison) {
+        /** @var {Koviko~GameState} */
+        const game = Object.assign({}, request.game, { start: null });
+
+        if (!this.other || !this.other.matches(game)) {
+          /**
+           * Simulator used by the most recent prediction of the saved action list made on the page
+           * @member {Koviko.Simulator|null}
+           */
+          this.other = new Koviko.Simulator(game);
+        }
+
+        result.diff = this.simulator.diff(this.other.run(this.comparison), result);
+      }
+
+      if (container) {
+        this.render(result, container);
+      }
+
+      // Log useful debugging data
+      if (isDebug) {
+        console.info({
+          actions: actions,
+          affected: result.affected,
+          state: result.state,
+          total: result.total
+        });
+      }
+
+      return result;
+    }
+
+    /**
+     * Display a prediction in the action list, replacing any prediction already displayed.
+     * @param {Koviko.Simulator~Result} result Prediction of the action list
+     * @param {HTMLElement} container Parent element of the action list
+     * @memberof Koviko.Predictor
+     */
+    render(result, container) {
+      // Update the view for each action
+      result.actions.forEach((prediction, i) => {
+        /**
+         * Element for the action in the list
+         * @var {HTMLElement}
+         */
+        let div = container.children[i];
 
-        // Town 5
-        'Fall From Grace': {},
+        if (div) {
+          [...div.children].forEach(el => el.classList.contains('koviko') && div.removeChild(el));
+          div.classList.add('showthat');
+          div.innerHTML += prediction ? this.template(result.affected, prediction, result.samples && result.samples[i]) : `<ul class='koviko unpredicted'><li>unpredicted</li></ul>`;
+        }
+      });
 
-        // Loops without Max
-        'Heal The Sick': { affected: ['rep'], canStart: (input) => (input.rep >= 1), loop: {
-          cost: (p, a) => segment => g.fibonacci(2 + Math.floor((p.completed + segment) / a.segments + .0000001)) * 5000,
-          tick: (p, a, s, k) => offset => g.getSkillLevelFromExp(k.magic) * Math.sqrt(1 + p.total / 100) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100),
-          effect: { end: (r, k) => k.magic += 10, loop: (r) => r.rep += 3 },
-        }},
-        'Fight Monsters': { affected: ['gold'], canStart: (input) => (input.rep >= 2), loop: {
-          cost: (p, a) => segment => g.fibonacci(Math.floor((p.completed + segment) - p.completed / a.segments + .0000001)) * 10000,
-          tick: (p, a, s, k, r) => offset => h.getSelfCombat(r, k) * Math.sqrt(1 + p.total / 100) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100),
-          effect: { end: (r, k) => k.combat += 10, segment: (r) => r.gold += 20 },
-        }},
-        'Adventure Guild': { affected: ['gold', 'adventures'], loop: {
-          cost: (p) => segment => g.precision3(Math.pow(1.2, p.completed + segment)) * 5e6,
-          tick: (p, a, s, k, r) => offset => (h.getSelfCombat(r, k) + g.getSkillLevelFromExp(k.magic) / 2) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + p.total / 1000),
-          effect: { segment: (r) => (r.mana += 200, r.adventures++) }
-        }},
-        'Crafting Guild': { affected: ['gold', 'crafts'], loop: {
-          cost: (p) => segment => g.precision3(Math.pow(1.2, p.completed + segment)) * 2e6,
-          tick: (p, a, s, k) => offset => (g.getSkillLevelFromExp(k.magic) / 2 + g.getSkillLevelFromExp(k.crafting)) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + p.total / 1000),
-          effect: { segment: (r, k) => (r.gold += 10, r.crafts++, k.crafting += 50) }
-        }},
-        'Hunt Trolls': { affected: ['blood'], loop: {
-          cost: (p, a) => segment => g.precision3(Math.pow(2, Math.floor((p.completed + segment) / a.segments+.0000001)) * 1e6),
-          tick: (p, a, s, k, r) => offset => (h.getSelfCombat(r, k) * Math.sqrt(1 + p.total/100) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]])/100)),
-          effect: { loop: (r, k) => (r.blood++, k.combat += 1000) }
-        }},
+      // Only the action list itself has a total, a comparison and a timeline
+      if (container !== this.container) {
+        return;
+      }
 
-        // Loops with Max
-        'Small Dungeon': { affected: ['soul'], loop: {
-          max: (a) => g.dungeons[a.dungeonNum].length,
-          cost: (p, a) => segment => g.precision3(Math.pow(2, Math.floor((p.completed + segment) / a.segments + .0000001)) * 15000),
-          tick: (p, a, s, k, r) => offset => {
-            let floor = Math.floor(p.completed / a.segments + .0000001);
+      this.result = result;
 
-            return floor in g.dungeons[a.dungeonNum] ? (h.getSelfCombat(r, k) + g.getSkillLevelFromExp(k.magic)) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + g.dungeons[a.dungeonNum][floor].completed / 200) : 0;
-          },
-          effect: { end: (r, k) => (k.combat += 5, k.magic += 5), loop: (r) => r.soul++ },
-        }},
-        'Large Dungeon': { affected: ['soul'], loop: {
-          max: (a) => g.dungeons[a.dungeonNum].length,
-          cost: (p, a) => segment => g.precision3(Math.pow(3, Math.floor((p.completed + segment) / a.segments + .0000001)) * 5e5),
-          tick: (p, a, s, k, r) => offset => {
-            let floor = Math.floor(p.completed / a.segments + .0000001);
+      // List what goes wrong, pointing at the row of each action that it goes wrong with
+      this.mistakesDisplay.innerHTML = '';
+      result.actions.forEach((x, i) => {
+        if (x && x.warning) {
+          const el = this.mistakesDisplay.appendChild(document.createElement('div'));
 
-            return floor in g.dungeons[a.dungeonNum] ? (h.getTeamCombat(r, k) + g.getSkillLevelFromExp(k.magic)) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100) * Math.sqrt(1 + g.dungeons[a.dungeonNum][floor].completed / 200) : 0;
-          },
-          effect: { end: (r, k) => (k.combat += 15, k.magic += 15), loop: (r) => r.soul += 10 }
-        }},
-        'Dark Ritual': { affected: ['ritual'], canStart: (input) => (input.rep <= -5), loop: {
-          max: () => 1,
-          cost: (p) => segment => 1000000 * (segment * 2 + 1),
-          tick: (p, a, s, k) => offset => {
-            let attempt = Math.floor(p.completed / a.segments + .0000001);
+          el.textContent = `Row ${i + 1}, ${x.name}${x.loops > 1 ? `, loop ${x.warning.loop + 1}` : ''}: ${x.warning.message}`;
+          el.title = 'Click to show the row';
+          el.onclick = () => {
+            const row = container.children[i];
 
-            return attempt < 1 ? (g.getSkillLevelFromExp(k.dark) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100)) / (1 - towns[1].getLevel("Witch") * .005) : 0;
-          },
-          effect: { loop: (r) => r.ritual++ }
-        }},
-        'Imbue Mind': { affected: ['mind'], loop: {
-          max: () => 1,
-          cost: (p) => segment => 100000000 * (segment * 5 + 1),
-          tick: (p, a, s, k) => offset => {
-            let attempt = Math.floor(p.completed / a.segments + .0000001);
+            if (row) {
+              row.scrollIntoView({ block: 'nearest' });
+              row.classList.add('koviko-flash');
+              setTimeout(() => row.classList.remove('koviko-flash'), 1000);
+            }
+          };
+        }
+      });
 
-            return attempt < 1 ? (g.getSkillLevelFromExp(k.magic) * (1 + g.getLevelFromExp(s[a.loopStats[(p.completed + offset) % a.loopStats.length]]) / 100)) : 0;
-          },
-          effect: { loop: (r) => r.mind++ },
-        }},
-      };
+      // Update the display for the total amount of mana used by the action list
+      this.totalDisplay.innerHTML = this.formatNumber(result.total) + " | " + this.formatTime(result.ticks);
 
       /**
-       * Prediction collection
-       * @member {Object.<string, Prediction>}
+       * Time spent by the actions of each town
+       * @var {Object.<number, number>}
        */
-      this.predictions = {};
+      const towns = result.actions.reduce((towns, x) => (x && (towns[x.town] = (towns[x.town] || 0) + x.ticks), towns), {});
 
-      // Create predictions
-      for (const name in predictions) {
-        this.predictions[name] = new Koviko.Prediction(name, predictions[name]);
+      this.totalDisplay.title = Object.keys(towns).map(town => `${_txt(`towns>town${town}>name`)}: ${this.formatTime(towns[town])}`).join('\n');
+
+      // Update the comparison with the saved action list, unless it was dropped while the prediction was on its way
+      if (result.diff && this.comparison) {
+        this.compareDisplay.innerHTML = 'vs A: ' + this.formatDelta(result.diff.mana.delta, false) + ' mana' + `<div class='koviko showthis'><table>${this.compareTemplate(result.diff)}</table></div>`;
+      }
+
+      // Only chart the resources while the chart is open
+      if (this.timelineDisplay.classList.contains('open')) {
+        this.timelineDisplay.lastElementChild.innerHTML = this.timelineTemplate(result);
       }
     }
 
     /**
-     * Update the action list view.
-     * @param {Array.<IdleLoops~ListedAction>} actions Actions in the action list
-     * @param {HTMLElement} [container] Parent element of the action list
-     * @param {boolean} [isDebug] Whether to log useful debug information
+     * Format an amount of game ticks as the time that they take.
+     * @param {number} ticks Amount of game ticks
+     * @return {string} Time in hours, minutes, seconds and tenths of a second
      * @memberof Koviko.Predictor
      */
-    update(actions, container, isDebug) {
-      /**
-       * Organize accumulated resources, accumulated stats, and accumulated progress into a single object
-       * @var {Koviko.Predictor~State}
-       */
-      const state = {
-        resources: { mana: 250, town: 0 },
-        stats: Koviko.globals.statList.reduce((stats, name) => (stats[name] = 0, stats), {}),
-        skills: Object.entries(Koviko.globals.skills).reduce((skills, x) => (skills[x[0].toLowerCase()] = x[1].exp, skills), {}),
-        progress: {}
-      };
+    formatTime(ticks) {
+      let totalTicks = Math.abs(ticks) / 50;
+      var h = Math.floor(totalTicks / 3600);
+      var m = Math.floor(totalTicks % 3600 / 60);
+      var s = Math.floor(totalTicks % 3600 % 60);
+      var ms = Math.floor(totalTicks % 1 * 10);
 
-      /**
-       * Snapshots of accumulated stats and accumulated skills
-       * @var {Object}
-       * @prop {Koviko.Snapshot} stats Snapshot of accumulated stats
-       * @prop {Koviko.Snapshot} skills Snapshot of accumulated skills
-       */
-      const snapshots = {
-        stats: new Koviko.Snapshot(state.stats),
-        skills: new Koviko.Snapshot(state.skills),
-      };
+      return (ticks < 0 ? '-' : '') + ('0' + h).slice(-2) + ":" + ('0' + m).slice(-2) + ":" + ('0' + s).slice(-2) + "." + ms;
+    }
 
-      /**
-       * Total mana used for the action list
-       * @var {number}
-       */
-      let total = 0;
+    /**
+     * Format a difference, colored by whether it is for the better.
+     * @param {number} delta Difference
+     * @param {boolean} [isMoreBetter=true] Whether more is better, which isn't the case for costs such as mana or time
+     * @param {function} [format] Formats the size of the difference, defaulting to a number
+     * @return {string} HTML of the difference
+     * @memberof Koviko.Predictor
+     */
+    formatDelta(delta, isMoreBetter = true, format = x => this.formatNumber(x, 1)) {
+      if (!delta) {
+        return '±0';
+      }
 
-      /**
-       * Total time used for the action list
-       * @var {number}
-       */
-      let totalTicks = 0;
+      return `<span class=${delta > 0 === isMoreBetter ? 'better' : 'worse'}>${delta > 0 ? '+' : '-'}${format(Math.abs(delta))}</span>`;
+    }
 
-      /**
-       * All affected resources of the current action list
-       * @var {Array.<string>}
-       */
-      const affected = Object.keys(actions.reduce((stats, x) => (x.name in this.predictions && this.predictions[x.name].affected || []).reduce((stats, name) => (stats[name] = true, stats), stats), {}));
+    /**
+     * Generate the rows comparing the action list with the saved action list.
+     * @param {Koviko.Simulator~Diff} diff Comparison of the saved action list to the action list
+     * @return {string} HTML of the rows
+     * @memberof Koviko.Predictor
+     */
+    compareTemplate(diff) {
+      const row = (label, value, delta) => `<tr><td><b>${label}</b></td><td>${value}</td><td>(${delta})</td></tr>`;
+      let rows = '';
 
-      // Initialize all affected resources
-      affected.forEach(x => state.resources[x] || (state.resources[x] = 0));
+      rows += row('MANA', this.formatNumber(diff.mana.value), this.formatDelta(diff.mana.delta, false));
+      rows += row('TIME', this.formatTime(diff.ticks.value), this.formatDelta(diff.ticks.delta, false, x => this.formatTime(x)));
 
-      // Initialize the display element for the total amount of mana used
-      container && (this.totalDisplay.innerHTML = '');
+      // Only show what differs from one action list to the other
+      for (let i in diff.resources) {
+        if (diff.resources[i].delta && i !== 'mana') {
+          rows += row(i.toUpperCase(), this.formatNumber(diff.resources[i].value, 1), this.formatDelta(diff.resources[i].delta));
+        }
+      }
 
-      // Run through the action list and update the view for each action
-      actions.forEach((listedAction, i) => {
-        /** @var {Koviko.Prediction} */
-        let prediction = this.predictions[listedAction.name];
+      for (let i in diff.stats) {
+        if (diff.stats[i].delta) {
+          rows += row(_txt(`stats>${i}>short_form`).toUpperCase(), this.formatNumber(diff.stats[i].value, 1), this.formatDelta(diff.stats[i].delta));
+        }
+      }
 
-        if (prediction) {
-          /**
-           * Element for the action in the list
-           * @var {HTMLElement}
-           */
-          let div = container ? container.children[i] : null;
+      for (let i in diff.skills) {
+        if (diff.skills[i].delta) {
+          rows += row(i.toUpperCase(), this.formatNumber(diff.skills[i].value, 1), this.formatDelta(diff.skills[i].delta));
+        }
+      }
+
+      diff.actions.forEach((x) => {
+        if (x.loops.delta || x.mana.delta) {
+          rows += row(x.name, `${x.loops.value - x.loops.delta} → ${x.loops.value} loops`, this.formatDelta(x.mana.delta, false) + ' mana');
+        }
+      });
 
-          /** @var {boolean} */
-          let isValid = true;
+      return rows;
+    }
 
-          /** @var {number} */
-          let currentMana;
+    /**
+     * Generate the chart of the resources over the course of the action list, with a line at the end of each action and
+     * the stretches where mana is below zero marked in red. Each resource is scaled to its own range, which the legend
+     * lists.
+     * @param {Koviko.Simulator~Result} result Prediction of the action list
+     * @return {string} HTML of the chart
+     * @memberof Koviko.Predictor
+     */
+    timelineTemplate(result) {
+      const width = 1000;
+      const height = 200;
 
-          // Make sure that the loop is properly represented in `state.progress`
-          if (prediction.loop && !(prediction.name in state.progress)) {
-            /** @var {Koviko.Predictor~Progression} */
-            state.progress[prediction.name] = {
-              progress: 0,
-              completed: 0,
-              total: Koviko.globals.towns[prediction.action.townNum]['total' + prediction.action.varName],
-            };
-          }
+      /**
+       * Resources over the course of the action list, with the time of each point counted from the start of the list
+       * @var {Array.<Koviko.Simulator~Point>}
+       */
+      const points = [];
 
-          // Predict each loop in sequence
-          for (let loop = 0; loop < listedAction.loops; loop++) {
-            let canStart = typeof(prediction.canStart) === "function" ? prediction.canStart(state.resources) : prediction.canStart;
-            if ( !canStart ) break;
+      /**
+       * Time at which each action ends, along with its name
+       * @var {Array.<{ticks: number, name: string}>}
+       */
+      const boundaries = [];
 
-            // Save the mana prior to the prediction
-            currentMana = state.resources.mana;
+      /** @var {number} */
+      let total = 0;
 
-            // Run the prediction
-            this.predict(prediction, state);
+      // Lay the actions end to end, leaving out those without a prediction
+      result.actions.forEach((x) => {
+        if (x) {
+          x.timeline.forEach(point => points.push({ ticks: total + point.ticks, resources: point.resources }));
+          total += x.ticks;
+          boundaries.push({ ticks: total, name: x.name });
+        }
+      });
 
-            // Check if the amount of mana used was too much
-            isValid = isValid && state.resources.mana >= 0;
+      if (!points.length || !total) {
+        return '';
+      }
 
-            // Only for Adventure Guild
-            if ( listedAction.name == "Adventure Guild" ) {
-              state.resources.mana -= state.resources.adventures * 200;
-            }
+      /** @var {Array.<string>} */
+      const names = ['mana'].concat(result.affected.filter(name => name !== 'mana' && points.some(point => typeof point.resources[name] === 'number' && point.resources[name] !== points[0].resources[name])));
 
-            // Calculate the total amount of mana used in the prediction and add it to the total
-            total += currentMana - state.resources.mana;
+      const x = ticks => (ticks / total * width).toFixed(1);
+      let svg = '';
+      let legend = '';
 
-            // Only for Adventure Guild
-            if ( listedAction.name == "Adventure Guild" ) {
-              state.resources.mana += state.resources.adventures * 200;
-            }
+      names.forEach((name) => {
+        const values = points.map(point => point.resources[name] || 0);
 
-            // Calculate time spent
-            let temp = (currentMana - state.resources.mana) / Math.pow(1 + getSkillLevel("Chronomancy") / 60, 0.25);
-            if ( state.resources.town === 0 && getBuffLevel("Ritual") > 0) {
-              temp /= (1 + Math.min(getBuffLevel("Ritual"), 20) / 10);
-            }
-            else if ( state.resources.town === 1 && getBuffLevel("Ritual") > 20) {
-              temp /= (1 + Math.min(getBuffLevel("Ritual") - 20, 20) / 20);
-            }
-            else if ( state.resources.town === 2 && getBuffLevel("Ritual") > 40) {
-              temp /= (1 + Math.min(getBuffLevel("Ritual") - 40, 20) / 40);
-            }
-            totalTicks += temp;
+        // Mana is always scaled from zero, so that its line shows where it runs out
+        const min = Math.min(...values, name === 'mana' ? 0 : Infinity);
+        const max = Math.max(...values);
+        const y = value => (height - (value - min) / (max - min || 1) * height).toFixed(1);
 
-            // Run the effect, now that the mana checks are complete
-            if (prediction.effect) {
-              prediction.effect(state.resources, state.skills);
-            }
-            if (prediction.loop) {
-              if (prediction.loop.effect.end) {
-                prediction.loop.effect.end(state.resources, state.skills);
-              }
-            }
-          }
+        if (name === 'mana') {
+          // Mark the stretches where mana is below zero
+          points.forEach((point, i) => {
+            if (point.resources.mana < 0 && i && points[i - 1].resources.mana >= 0) {
+              const end = points.findIndex((next, j) => j > i && next.resources.mana >= 0);
 
-          // Update the snapshots
-          for (let i in snapshots) {
-            snapshots[i].snap(state[i]);
-          }
+              svg += `<rect class=negative x=${x(points[i - 1].ticks)} y=0 width=${x((end < 0 ? total : points[end].ticks) - points[i - 1].ticks)} height=${height}><title>Out of mana at ${this.formatTime(point.ticks)}</title></rect>`;
+            }
+          });
 
-          // Update the view
-          if (div) {
-            div.className += ' showthat';
-            div.innerHTML += this.template(affected, state.resources, snapshots, isValid);
-          }
+          svg += `<line class=zero x1=0 x2=${width} y1=${y(0)} y2=${y(0)} />`;
         }
-      });
 
-      // Update the display for the total amount of mana used by the action list
-      totalTicks /= 50;
-      var h = Math.floor(totalTicks / 3600);
-      var m = Math.floor(totalTicks % 3600 / 60);
-      var s = Math.floor(totalTicks % 3600 % 60);
-      var ms = Math.floor(totalTicks % 1 * 10);
+        svg += `<polyline class=${name} points="${points.map((point, i) => `${x(point.ticks)},${y(values[i])}`).join(' ')}" />`;
+        legend += `<span class=${name}>${name} ${this.formatNumber(min, 1)}–${this.formatNumber(max, 1)}</span> `;
+      });
 
-      let totalTime = ('0' + h).slice(-2) + ":" + ('0' + m).slice(-2) + ":" + ('0' + s).slice(-2) + "." + ms;
-      container && (this.totalDisplay.innerHTML = intToString(total) + " | " + totalTime);
+      boundaries.forEach((boundary) => {
+        svg += `<line class=boundary x1=${x(boundary.ticks)} x2=${x(boundary.ticks)} y1=0 y2=${height}><title>${boundary.name} ends at ${this.formatTime(boundary.ticks)}</title></line>`;
+      });
 
-      // Log useful debugging data
-      if (isDebug) {
-        console.info({
-          actions: actions,
-          affected: affected,
-          state: state,
-          total: total
-        });
-      }
+      return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio=none>${svg}</svg><div class=legend>${legend}<span class=time>${this.formatTime(total)}</span></div>`;
     }
 
     /**
      * Generate the element showing the resources accumulated for an action in the action list.
      * @param {Array.<string>} affected Names of resources to display
-     * @param {Koviko.Predictor~Resources} resources Accumulated resources
-     * @param {Object} snapshots Snapshots with value comparisons
-     * @param {Koviko.Snapshot} snapshots.stats Value comparisons of stats from one snapshot to the next
-     * @param {Koviko.Snapshot} snapshots.skills Value comparisons of skills from one snapshot to the next
-     * @param {boolean} isValid Whether the amount of mana remaining is valid for this action
+     * @param {Koviko.Simulator~ActionResult} prediction Prediction of the action
+     * @param {Object.<string, Koviko.Simulator~Distribution>|null} [samples] Spread of each resource across sampled runs
      * @return {string} HTML of the new element
      * @memberof Koviko.Predictor
      */
-    template(affected, resources, snapshots, isValid) {
-      isValid = isValid ? 'valid' : 'invalid';
-      let stats = snapshots.stats.get();
-      let skills = snapshots.skills.get();
+    template(affected, prediction, samples) {
+      let isValid = prediction.isValid ? 'valid' : 'invalid';
+      let resources = prediction.resources;
+      let stats = prediction.stats;
+      let skills = prediction.skills;
       let tooltip = '';
 
+      /** @var {Array.<string>} */
+      const hidden = this.settings.hidden;
+
       for (let i in stats) {
-        if (stats[i].delta) {
-          let level = {
-            start: Koviko.globals.getLevelFromExp(stats[i].value - stats[i].delta),
-            end: Koviko.globals.getLevelFromExp(stats[i].value),
-          };
+        if (stats[i].delta && !hidden.includes(i)) {
+          let level = prediction.levels.stats[i];
 
-          tooltip += '<tr><td><b>' + _txt(`stats>${i}>short_form`).toUpperCase() + '</b></td><td>' + intToString(level.end, 1) + '</td><td>(+' + intToString(level.end - level.start, 1) + ')</td></tr>';
+          tooltip += '<tr><td><b>' + _txt(`stats>${i}>short_form`).toUpperCase() + '</b></td><td>' + this.formatNumber(level.value, 1) + '</td><td>(+' + this.formatNumber(level.delta, 1) + ')</td></tr>';
         }
       }
 
       for (let i in skills) {
-        if (skills[i].delta) {
-          let level = {
-            start: Koviko.globals.getSkillLevelFromExp(skills[i].value - skills[i].delta),
-            end: Koviko.globals.getSkillLevelFromExp(skills[i].value),
-          };
+        if (skills[i].delta && !hidden.includes(i)) {
+          let level = prediction.levels.skills[i];
 
           tooltip += '<tr><td><b>'
           switch(i) {
@@ -898,113 +4177,69 @@ const Koviko = {
             default:
               tooltip += i.toUpperCase();
           }
-          tooltip += '</b></td><td>' + intToString(level.end, 1) + '</td><td>(+' + intToString(level.end - level.start, 1) + ')</td></tr>';
+          tooltip += '</b></td><td>' + this.formatNumber(level.value, 1) + '</td><td>(+' + this.formatNumber(level.delta, 1) + ')</td></tr>';
         }
       }
 
-      var Affec = affected.map(name => {
-        if ( resources[name] != 0 ) return `<li class=${name}>${resources[name]}</li>`;
-        else return "";
-      }).join('');
-      return `<ul class='koviko ${isValid}'>` + Affec + `</ul><div class='koviko showthis'><table>${tooltip || '<b>N/A</b>'}</table></div>`;
-    };
-
-    /**
-     * Perform one tick of a prediction.
-     * @param {Koviko.Prediction} prediction Prediction object
-     * @param {Koviko.Predictor~State} state State object
-     * @return {boolean} Whether another tick can occur
-     * @memberof Koviko.Predictor
-     */
-    tick(prediction, state) {
-      // Apply the accumulated stat experience
-      prediction.exp(prediction.action, state.stats);
-
-      // Handle the loop if it exists
-      if (prediction.loop) {
-        /** @var {Koviko.Predictor~Progression} */
-        const progression = state.progress[prediction.name];
-
-        /** @var {function} */
-        const loopCost = prediction.loop.cost(progression, prediction.action);
-
-        /** @var {function} */
-        const tickProgress = prediction.loop.tick(progression, prediction.action, state.stats, state.skills, state.resources);
-
-        /** @var {number} */
-        const totalSegments = prediction.action.segments;
+      tooltip += '<tr><td><b>TIME</b></td><td>' + this.formatTime(prediction.ticks) + '</td><td>(' + this.formatTime(prediction.elapsed) + ')</td></tr>';
 
-        /** @var {number} */
-        const maxSegments = prediction.loop.max ? prediction.loop.max(prediction.action) * totalSegments : Infinity;
+      if (!prediction.isReliable) {
+        tooltip += '<tr><td colspan=3><i>Unreliable, since an earlier action is unpredicted</i></td></tr>';
+      }
 
-        /**
-         * Current segment within the loop
-         * @var {number}
-         */
-        let segment = 0;
+      // Show the range of the resources that vary from one sampled run to the next
+      for (let i in samples || {}) {
+        if (samples[i].min !== samples[i].max) {
+          tooltip += '<tr><td><b>' + i.toUpperCase() + '</b></td><td>~' + this.formatNumber(samples[i].mean, 2) + '</td><td>(' + this.formatNumber(samples[i].percentiles[5], 1) + '-' + this.formatNumber(samples[i].percentiles[95], 1) + ')</td></tr>';
+        }
+      }
 
-        /**
-         * Progress through the current loop
-         * @var {number}
-         */
-        let progress = progression.progress;
+      if (prediction.warning) {
+        tooltip += '<tr><td><b>WARN</b></td><td colspan=2>' + prediction.warning.message + '</td></tr>';
+      }
 
-        // Calculate the progress and current segment before the tick
-        for (; progress >= loopCost(segment); progress -= loopCost(segment++));
+      if (prediction.failedLoop !== null) {
+        tooltip += '<tr><td><b>STOP</b></td><td colspan=2>' + prediction.reasons.join(', ') + '</td></tr>';
+      }
 
-        /**
-         * Progress of the tick
-         * @var {number}
-         */
-        let additionalProgress = tickProgress(segment) * (prediction.action.manaCost() / prediction.ticks());
+      if (prediction.soulstones) {
+        prediction.soulstones.floors.forEach(x => {
+          tooltip += '<tr><td><b>D' + (x.dungeon + 1) + ' F' + (x.floor + 1) + '</b></td><td>~' + this.formatNumber(x.expected, 2) + '</td><td>(' + this.formatNumber(x.min, 1) + '-' + this.formatNumber(x.max, 1) + ')</td></tr>';
+        });
+      }
 
-        // Accumulate the progress from the tick
-        progress += additionalProgress;
-        progression.progress += additionalProgress;
+      if (prediction.limit) {
+        tooltip += '<tr><td><b>LEFT</b></td><td>' + this.formatNumber(prediction.limit.remaining, 1) + '</td><td>' + (prediction.limit.wasted ? '(' + this.formatNumber(prediction.limit.wasted, 1) + ' over)' : '') + '</td></tr>';
+      }
 
-        // Calculate the progress and current segment after the tick
-        for (; progress >= loopCost(segment) && segment < maxSegments; progress -= loopCost(segment++)) {
-          // Handle the completion of a loop
-          if (segment >= totalSegments - 1) {
-            progression.progress = 0;
-            progression.completed += totalSegments;
-            progression.total++;
-            segment -= totalSegments;
+      var Affec = affected.filter(name => !hidden.includes(name)).map(name => {
+        // The rows show the resources as they are, unless numbers are to be shown in full
+        let value = typeof resources[name] === 'number' && this.settings.exact ? this.formatNumber(resources[name]) : resources[name];
 
-            // Apply the effect from the completion of a loop
-            if (prediction.loop.effect.loop) {
-              prediction.loop.effect.loop(state.resources, state.skills);
-            }
-          }
+        let classes = prediction.shortages.includes(name) ? `'${name} short'` : name;
 
-          // Apply the effect from the completion of a segment
-          if (prediction.loop.effect.segment) {
-            prediction.loop.effect.segment(state.resources, state.skills);
-          }
-        }
+        // Soulstone attempts are followed by the soulstones that can be expected from them
+        if ( name === 'soul' && prediction.soulstones ) return `<li class=${classes}>${value} (~${this.formatNumber(prediction.soulstones.expected, 2)})</li>`;
+        if ( resources[name] != 0 || !this.settings.hideZero || prediction.shortages.includes(name) ) return `<li class=${classes}>${value}</li>`;
+        else return "";
+      }).join('');
 
-        return additionalProgress && segment < maxSegments;
+      // Flag the loops that went past the last good result
+      if (prediction.limit && prediction.limit.wasted) {
+        Affec += `<li class=exceeded>${prediction.limit.wasted} over</li>`;
       }
 
-      return true;
-    }
-
-    /**
-     * Perform all ticks of a prediction
-     * @param {Koviko.Prediction} prediction Prediction object
-     * @param {Koviko.Predictor~state} state State object
-     * @memberof Koviko.Predictor
-     */
-    predict(prediction, state) {
-      // Update the amount of ticks necessary to complete the action, but only once at the start of the action
-      prediction.updateTicks(prediction.action, state.stats);
+      // Point out the actions that something goes wrong with
+      if (prediction.warning) {
+        Affec += `<li class=warned>⚠</li>`;
+      }
 
-      // Perform all ticks in succession
-      for (let ticks = 0; ticks < prediction.ticks(); ticks++) {
-        state.resources.mana--;
-        if (!this.tick(prediction, state)) break;
+      // Show how many of the requested loops ran, when not all of them could start
+      if (prediction.failedLoop !== null) {
+        Affec += `<li class=failed>${prediction.failedLoop}/${prediction.loops} loops</li>`;
       }
-    }
+      return `<ul class='koviko ${isValid}${prediction.isReliable ? '' : ' unreliable'}'>` + Affec + `</ul><div class='koviko showthis'><table>${tooltip || '<b>N/A</b>'}</table></div>`;
+    };
   },
 
   hasRan: false,
@@ -1027,5 +4262,12 @@ const Koviko = {
 };
 
 // Run the code!
-window.addEventListener('load', Koviko.run);
-setTimeout(() => document.readyState == 'complete' && Koviko.run(), 2000); // If it hasn't already ran in a couple of seconds, see if it can run
+if (typeof window !== 'undefined') {
+  window.addEventListener('load', Koviko.run);
+  setTimeout(() => document.readyState == 'complete' && Koviko.run(), 2000); // If it hasn't already ran in a couple of seconds, see if it can run
+}
+
+// Expose the simulation to Node, where there is no game to run against
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Koviko;
+}
@@ -0,0 +1,163 @@
+/**
+ * Tests of the parts of the predictor that don't need the page, run with `npm test`.
+ */
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Koviko = require('../idleloops-predictor.user.js');
+
+/**
+ * Game state to test against
+ * @var {Koviko~GameState}
+ */
+const game = require('./fixtures/early-game.json');
+
+/**
+ * Predictor without the page, which captures the game state from the fixture instead of from the game.
+ * @return {Koviko.Predictor} Predictor
+ */
+function predictor() {
+  return Object.assign(Object.create(Koviko.Predictor.prototype), {
+    capture: (names) => Object.assign({}, game, { actions: names.reduce((actions, name) => (name in game.actions && (actions[name] = game.actions[name]), actions), {}) }),
+    validate: () => {},
+    workerUrl: null,
+  });
+}
+
+describe('register', () => {
+  /** @var {Object.<string, Object.<string, function>>} */
+  let overrides;
+
+  /** @var {Object} */
+  const globals = Koviko.globals;
+
+  beforeEach(() => {
+    overrides = Object.keys(Koviko.rulesets).reduce((saved, version) => (saved[version] = Object.assign({}, Koviko.rulesets[version].overrides), saved), {});
+    Koviko.globals = Object.assign({}, globals, { view: { updateNextActions: () => {} } });
+  });
+
+  afterEach(() => {
+    Object.keys(overrides).forEach(version => Koviko.rulesets[version].overrides = overrides[version]);
+    Koviko.globals = globals;
+  });
+
+  test('replaces the rule of an action', () => {
+    predictor().register('Throw Party', (g, h) => ({ affected: ['rep'], effect: (r) => r.rep -= 5 }));
+
+    const result = new Koviko.Simulator(Object.assign({}, game, { start: { resources: { rep: 10 } } })).run([{ name: 'Throw Party', loops: 1 }]);
+
+    assert.strictEqual(result.actions[0].resources.rep, 5);
+  });
+
+  test('rejects a rule that uses a variable from outside of itself, and keeps the rule it had', () => {
+    const bonus = 5;
+    const before = new Koviko.Simulator(game).ruleset.overrides['Throw Party'];
+
+    assert.throws(() => predictor().register('Throw Party', (g, h) => ({ affected: ['rep'], effect: (r) => r.rep -= bonus })), /bonus is not defined/);
+    assert.strictEqual(new Koviko.Simulator(game).ruleset.overrides['Throw Party'], before);
+  });
+
+  test('rejects a version without a ruleset', () => {
+    assert.throws(() => predictor().register('Throw Party', (g, h) => ({ affected: ['rep'], effect: (r) => r.rep -= 2 }), 'no such version'), /no ruleset for version no such version/);
+  });
+});
+
+describe('timeline', () => {
+  const timeline = (actions) => {
+    const result = new Koviko.Simulator(game).run(actions.map(([name, loops]) => ({ name, loops })));
+    const view = Object.assign(Object.create(Koviko.Predictor.prototype), { settings: Object.assign(Koviko.Predictor.prototype.defaults(), { exact: true }) });
+
+    return { result: result, html: view.timelineTemplate(result), view: view };
+  };
+
+  test('draws mana and each resource that changes, and leaves out the rest', () => {
+    assert.deepStrictEqual(timeline([['Wander', 1], ['Pick Locks', 2]]).html.match(/<polyline class=\w+/g), ['<polyline class=mana', '<polyline class=gold']);
+    assert.deepStrictEqual(timeline([['Wander', 1]]).html.match(/<polyline class=\w+/g), ['<polyline class=mana']);
+  });
+
+  test('marks where each action ends', () => {
+    const { result, html, view } = timeline([['Wander', 2], ['Pick Locks', 2], ['Train Strength', 3]]);
+    const total = result.actions.reduce((total, x) => total + x.ticks, 0);
+    const boundaries = [...html.matchAll(/<line class=boundary x1=([\d.]+) [^>]*><title>([^<]*)<\/title>/g)].map(x => [x[1], x[2]]);
+
+    assert.deepStrictEqual(boundaries, [
+      [(result.actions[0].ticks / total * 1000).toFixed(1), `Wander ends at ${view.formatTime(result.actions[0].ticks)}`],
+      [((result.actions[0].ticks + result.actions[1].ticks) / total * 1000).toFixed(1), `Pick Locks ends at ${view.formatTime(result.actions[0].ticks + result.actions[1].ticks)}`],
+      ['1000.0', `Train Strength ends at ${view.formatTime(total)}`],
+    ]);
+  });
+
+  test('marks where mana runs out, from the last point before it does', () => {
+    const { result, html, view } = timeline([['Wander', 2], ['Pick Locks', 2]]);
+    const total = result.actions.reduce((total, x) => total + x.ticks, 0);
+
+    // Wander spends all 250 mana in its first loop, and runs out in its second
+    assert.deepStrictEqual([...html.matchAll(/<rect class=negative x=([\d.]+) [^>]*><title>([^<]*)<\/title>/g)].map(x => [x[1], x[2]]), [
+      [(result.actions[0].timeline[2].ticks / total * 1000).toFixed(1), `Out of mana at ${view.formatTime(result.actions[0].timeline[3].ticks)}`],
+    ]);
+    assert.ok(!timeline([['Wander', 1]]).html.includes('class=negative'));
+  });
+});
+
+describe('save', () => {
+  test('saves the next action list after one that could not be predicted', async () => {
+    const stored = {};
+    const answers = [Promise.reject(new Error('broken')), Promise.resolve({})];
+    const view = Object.assign(predictor(), {
+      version: game.version,
+      ask: () => answers.shift(),
+      summarize: () => ({}),
+      recall: (key, fallback) => stored[key] || fallback,
+      store: (key, value) => stored[key] = value,
+    });
+
+    const first = view.save('first', [{ name: 'Wander', loops: 1 }]);
+    const second = view.save('second', [{ name: 'Wander', loops: 2 }]);
+
+    await assert.rejects(first, /broken/);
+    assert.deepStrictEqual((await second).actions, [{ name: 'Wander', loops: 2 }]);
+    assert.deepStrictEqual(Object.keys(stored.routes), ['second']);
+  });
+});
+
+describe('offload', () => {
+  test('fails when the method fails on the page after the worker breaks', async () => {
+    const Worker = global.Worker;
+
+    // A worker that breaks as soon as it is asked anything
+    global.Worker = class {
+      postMessage() {
+        setTimeout(() => this.onerror(new Error('broken')));
+      }
+
+      terminate() {}
+    };
+
+    try {
+      const view = Object.assign(predictor(), { capture: () => game, workerUrl: 'blob:worker' });
+
+      assert.deepStrictEqual(await view.offload('run', [[{ name: 'Wander', loops: 1 }]]), new Koviko.Simulator(game).run([{ name: 'Wander', loops: 1 }]));
+      await assert.rejects(view.offload('run', [null]), TypeError);
+    } finally {
+      global.Worker = Worker;
+    }
+  });
+});
+
+describe('detectVersion', () => {
+  afterEach(() => {
+    delete global.gameVersion;
+    delete global.version;
+  });
+
+  test("reads the game's version", () => {
+    global.gameVersion = 0.85;
+
+    assert.strictEqual(predictor().detectVersion(), '0.85');
+  });
+
+  test('ignores any other global named version', () => {
+    global.version = '2.0';
+
+    assert.strictEqual(predictor().detectVersion(), null);
+  });
+});
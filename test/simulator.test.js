@@ -0,0 +1,296 @@
+/**
+ * Tests of the simulator against game states in the shape that `Koviko.capture()` records, run with `npm test`.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const Koviko = require('../idleloops-predictor.user.js');
+
+/**
+ * Game states to test against, by name
+ * @var {Object.<string, Koviko~GameState>}
+ */
+const fixtures = {
+  'early game': require('./fixtures/early-game.json'),
+  'mid game': require('./fixtures/mid-game.json'),
+};
+
+/**
+ * Predict an action list, either from the start of a loop or from the given position in one.
+ * @param {Koviko~GameState} game Game state
+ * @param {Array.<Array>} actions Name and number of loops of each action in the action list
+ * @param {Koviko~Position} [start] Resources and stat experience to start from
+ * @return {Koviko.Simulator~Result} Prediction of the action list
+ */
+function run(game, actions, start) {
+  return new Koviko.Simulator(start ? Object.assign({}, game, { start: start }) : game).run(actions.map(([name, loops]) => ({ name, loops })));
+}
+
+describe('rules', () => {
+  const game = fixtures['early game'];
+
+  test('Smash Pots gives mana for each good pot, and nothing once they are used up', () => {
+    const result = run(game, [['Smash Pots', 20]]);
+    const pots = result.actions[0];
+
+    assert.strictEqual(pots.limit.good, game.towns[0].goodPots);
+    assert.strictEqual(pots.limit.wasted, 20 - game.towns[0].goodPots);
+    assert.strictEqual(pots.resources.mana, 250 + game.towns[0].goodPots * game.goldCost.smashPots - pots.mana);
+  });
+
+  test('Wander finds a good pot at each level where half a pot per level adds up to a whole one', () => {
+    const explored = JSON.parse(JSON.stringify(game));
+
+    // Level 1 of Wander, which is 200 experience short of level 2
+    explored.towns[0].expWander = 100;
+
+    const pots = new Koviko.Simulator(explored).predictions['Smash Pots'];
+
+    assert.strictEqual(pots.good({ Wander: 199 }), explored.towns[0].goodPots);
+    assert.strictEqual(pots.good({ Wander: 200 }), explored.towns[0].goodPots + 1);
+    assert.strictEqual(pots.good({ Wander: 500 }), explored.towns[0].goodPots + 1);
+    assert.strictEqual(pots.good({ Wander: 900 }), explored.towns[0].goodPots + 2);
+  });
+
+  test('Pick Locks and Short Quest give gold for each good result', () => {
+    const result = run(game, [['Pick Locks', 2], ['Short Quest', 3]]);
+
+    assert.strictEqual(result.actions[0].resources.gold, 2 * game.goldCost.locks);
+    assert.strictEqual(result.actions[1].resources.gold, 2 * game.goldCost.locks + 3 * game.goldCost.sQuests);
+  });
+
+  test('Long Quest gives gold and reputation', () => {
+    const result = run(fixtures['mid game'], [['Long Quest', 2]]);
+
+    assert.strictEqual(result.actions[0].resources.gold, 2 * fixtures['mid game'].goldCost.lQuests);
+    assert.strictEqual(result.actions[0].resources.rep, 2);
+  });
+
+  test('Buy Glasses needs 10 gold', () => {
+    const bought = run(game, [['Buy Glasses', 1]], { resources: { gold: 10 } });
+    const broke = run(game, [['Buy Glasses', 1]], { resources: { gold: 9 } });
+
+    assert.strictEqual(bought.actions[0].resources.gold, 0);
+    assert.strictEqual(bought.actions[0].resources.glasses, true);
+    assert.strictEqual(broke.actions[0].failedLoop, 0);
+    assert.notStrictEqual(broke.actions[0].resources.glasses, true);
+  });
+
+  test('Buy Mana turns all gold into mana', () => {
+    const result = run(game, [['Buy Mana', 1]], { resources: { gold: 7 } });
+
+    assert.strictEqual(result.actions[0].resources.gold, 0);
+    assert.strictEqual(result.actions[0].resources.mana, 250 + 7 * 50 - result.actions[0].mana);
+  });
+
+  test('Throw Party costs reputation', () => {
+    assert.strictEqual(run(game, [['Throw Party', 2]], { resources: { rep: 5 } }).actions[0].resources.rep, 1);
+  });
+
+  test('Haggle lowers the price of supplies', () => {
+    const result = run(game, [['Haggle', 2], ['Buy Supplies', 1], ['Start Journey', 1]], { resources: { gold: 300, rep: 2 } });
+
+    assert.strictEqual(result.actions[0].resources.rep, 0);
+    assert.strictEqual(result.actions[0].resources.supplyDiscount, 2);
+    assert.strictEqual(result.actions[1].resources.gold, 40);
+    assert.strictEqual(new Koviko.Simulator(game).helpers.getSuppliesCost(result.actions[0].resources), 260);
+    assert.strictEqual(result.actions[1].resources.supplies, 1);
+    assert.strictEqual(result.actions[2].resources.supplies, 0);
+    assert.strictEqual(result.actions[2].resources.town, 1);
+  });
+
+  test('Start Journey needs supplies', () => {
+    const result = run(game, [['Start Journey', 1]]);
+
+    assert.strictEqual(result.actions[0].failedLoop, 0);
+    assert.strictEqual(result.actions[0].resources.town, 0);
+  });
+
+  test('Gather Team costs more gold for each member', () => {
+    const result = run(game, [['Gather Team', 3]], { resources: { gold: 700, town: 2 } });
+
+    assert.strictEqual(result.actions[0].resources.team, 2);
+    assert.strictEqual(result.actions[0].resources.gold, 100);
+    assert.strictEqual(result.actions[0].failedLoop, 2);
+    assert.strictEqual(new Koviko.Simulator(game).helpers.getTeamMemberCost(result.actions[0].resources), 600);
+  });
+
+  test('Dark Magic costs reputation and trains dark magic, boosted by the Dark Ritual', () => {
+    const mid = fixtures['mid game'];
+    const result = run(mid, [['Dark Magic', 2]], { resources: { mana: 1e5, town: 1 } });
+
+    assert.strictEqual(result.actions[0].resources.rep, -2);
+    assert.strictEqual(result.state.skills.dark, mid.skills.dark + 2 * Math.floor(100 * (1 + mid.buffs.Ritual / 100)));
+  });
+
+  test('Learn Alchemy uses herbs', () => {
+    const result = run(game, [['Learn Alchemy', 2]], { resources: { mana: 1e5, herbs: 25, town: 1 } });
+
+    assert.strictEqual(result.actions[0].resources.herbs, 5);
+    assert.strictEqual(result.state.skills.alchemy, game.skills.alchemy + 100);
+  });
+
+  test('Looping Potion turns 200 herbs into a looping potion', () => {
+    const result = run(game, [['Looping Potion', 2]], { resources: { mana: 1e5, herbs: 300, town: 3 } });
+
+    assert.strictEqual(result.actions[0].resources.herbs, 100);
+    assert.strictEqual(result.actions[0].resources.lpotions, 1);
+    assert.strictEqual(result.state.skills.alchemy, game.skills.alchemy + 100);
+  });
+
+  test('Heal The Sick gives reputation for each completed loop', () => {
+    const mid = fixtures['mid game'];
+    const result = run(mid, [['Heal The Sick', 2]], { resources: { mana: 1e6, rep: 1 } });
+    const completed = result.state.progress['Heal The Sick'].total - mid.towns[0].totalHeal;
+
+    assert.strictEqual(result.actions[0].failedLoop, null);
+    assert.ok(completed > 0);
+    assert.strictEqual(result.actions[0].resources.rep, 1 + 3 * completed);
+  });
+});
+
+describe('batches', () => {
+  for (const name in fixtures) {
+    test(`predict the same as ticking one at a time in the ${name}`, () => {
+      const simulator = new Koviko.Simulator(fixtures[name]);
+
+      assert.deepStrictEqual(simulator.verify([{ name: 'Wander', loops: 5 }, { name: 'Smash Pots', loops: 20 }]), []);
+      assert.deepStrictEqual(simulator.verify([{ name: 'Warrior Lessons', loops: 10 }, { name: 'Clear Thicket', loops: 10 }]), []);
+    });
+
+    test(`perform every tick of an action without a loop in one step in the ${name}`, () => {
+      const simulator = new Koviko.Simulator(fixtures[name]);
+      let ticks = 0;
+
+      simulator.tick = () => (ticks++, true);
+      simulator.run([{ name: 'Train Strength', loops: 100 }]);
+
+      assert.strictEqual(ticks, 0);
+    });
+
+    test(`stay close to ticking one at a time when experience lands on a level in the ${name}`, () => {
+      const game = JSON.parse(JSON.stringify(fixtures[name]));
+
+      // Experience split .3/.3/.4 adds up to a level on the exact tick that a product of it overshoots
+      game.actions['Wander'].stats = { Con: .3, Per: .3, Spd: .4 };
+      game.actions['Train Strength'].stats = { Str: .3, Con: .3, Dex: .4 };
+
+      for (let loops = 1; loops <= 15; loops++) {
+        assert.deepStrictEqual(new Koviko.Simulator(game).verify([{ name: 'Wander', loops: loops }, { name: 'Train Strength', loops: loops }]), [], `${loops} loops`);
+      }
+    });
+
+    test(`progress loops the same as ticking one at a time in the ${name}`, () => {
+      const simulator = new Koviko.Simulator(Object.assign({}, fixtures[name], { start: { resources: { mana: 1e6, rep: 10 } } }));
+
+      assert.deepStrictEqual(simulator.verify([{ name: 'Heal The Sick', loops: 3 }, { name: 'Fight Monsters', loops: 3 }, { name: 'Small Dungeon', loops: 3 }]), []);
+    });
+  }
+});
+
+describe('timelines', () => {
+  const game = fixtures['early game'];
+
+  test('mark the resources at the start of each action, after each loop spends its mana, and after its effects', () => {
+    const result = run(game, [['Wander', 2], ['Pick Locks', 2]]);
+    const [wander, locks] = result.actions;
+
+    assert.strictEqual(wander.timeline.length, 1 + 2 * 2);
+    assert.strictEqual(locks.timeline.length, 1 + 2 * 2);
+    assert.strictEqual(wander.timeline[0].ticks, 0);
+    assert.strictEqual(wander.timeline[0].resources.mana, 250);
+    assert.deepStrictEqual(locks.timeline[0].resources, wander.timeline[wander.timeline.length - 1].resources);
+    assert.strictEqual(wander.timeline[wander.timeline.length - 1].ticks, wander.ticks);
+    assert.strictEqual(locks.timeline[locks.timeline.length - 1].ticks, locks.ticks);
+
+    // Mana is spent before the loop's gold comes in, at the same point in time
+    assert.strictEqual(locks.timeline[1].ticks, locks.timeline[2].ticks);
+    assert.strictEqual(locks.timeline[1].resources.mana, locks.timeline[0].resources.mana - locks.timeline[1].ticks);
+    assert.strictEqual(locks.timeline[1].resources.gold, 0);
+    assert.strictEqual(locks.timeline[2].resources.gold, game.goldCost.locks);
+  });
+
+  test('end at the start of the loop that could not start', () => {
+    const result = run(game, [['Start Journey', 1]]);
+
+    assert.deepStrictEqual(result.actions[0].timeline, [{ ticks: 0, resources: result.actions[0].resources }]);
+  });
+});
+
+describe('self-test', () => {
+  for (const name in fixtures) {
+    test(`passes every rule in the ${name}`, () => {
+      assert.deepStrictEqual(new Koviko.Simulator(fixtures[name]).test(), []);
+    });
+  }
+});
+
+describe('optimize', () => {
+  const game = fixtures['early game'];
+
+  test('improves an action list without running out of mana', () => {
+    const optimization = new Koviko.Simulator(game).optimize([{ name: 'Wander', loops: 1 }, { name: 'Smash Pots', loops: 10 }], { target: 'Str' });
+    const result = new Koviko.Simulator(game).run(optimization.actions);
+
+    assert.strictEqual(optimization.isValid, true);
+    assert.ok(optimization.value > optimization.initial);
+    assert.ok(result.actions.every(x => x.isValid));
+  });
+
+  test('finds an action list that keeps mana above zero from one that runs out', () => {
+    const optimization = new Koviko.Simulator(game).optimize([{ name: 'Wander', loops: 2 }, { name: 'Smash Pots', loops: 10 }, { name: 'Train Strength', loops: 1 }], { target: 'Str' });
+    const result = new Koviko.Simulator(game).run(optimization.actions);
+
+    assert.strictEqual(optimization.isValid, true);
+    assert.ok(result.actions.every(x => x.isValid));
+  });
+
+  test('finds nothing when every action list it tries runs out of mana', () => {
+    const optimization = new Koviko.Simulator(game).optimize([{ name: 'Train Strength', loops: 5, min: 5 }], { target: 'Str' });
+
+    assert.strictEqual(optimization.isValid, false);
+    assert.strictEqual(optimization.actions, null);
+    assert.strictEqual(optimization.value, null);
+  });
+});
+
+describe('checkpoints', () => {
+  const game = fixtures['mid game'];
+
+  // The running loop is partway through healing the sick, having smashed some of the pots
+  const running = (progress) => {
+    const copy = JSON.parse(JSON.stringify(game));
+
+    Object.assign(copy.towns[0], { Heal: progress, HealLoopCounter: 3, goodTempPots: progress / 100 });
+
+    return copy;
+  };
+
+  test('hold from the start of a loop while the running loop moves on', () => {
+    const simulator = new Koviko.Simulator(running(1000));
+    const actions = [{ name: 'Wander', loops: 3 }, { name: 'Smash Pots', loops: 20 }];
+
+    simulator.run(actions);
+
+    assert.ok(simulator.matches(running(2500)));
+    assert.strictEqual(simulator.checkpoints.length, 2);
+    assert.deepStrictEqual(simulator.run(actions), new Koviko.Simulator(running(2500)).run(actions));
+  });
+
+  test('do not hold once the game state changes', () => {
+    const simulator = new Koviko.Simulator(running(1000));
+    const changed = running(1000);
+
+    changed.towns[0].expWander += 1000;
+
+    assert.ok(!simulator.matches(changed));
+  });
+
+  test('do not hold from where the running loop is once it moves on', () => {
+    const start = { resources: { mana: 500 } };
+    const simulator = new Koviko.Simulator(Object.assign(running(1000), { start: start }));
+
+    assert.ok(simulator.matches(Object.assign(running(1000), { start: start })));
+    assert.ok(!simulator.matches(Object.assign(running(2500), { start: start })));
+    assert.ok(!simulator.matches(Object.assign(running(1000), { start: { resources: { mana: 400 } } })));
+  });
+});